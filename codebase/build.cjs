@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -8,6 +9,72 @@ const ASSET_ROOT = 'src/assets/portfolio-pages';
 const OUTPUT_FILE = 'src/portfolioManifest.js';
 const DIST_DIR = path.join(__dirname, 'dist');
 
+// Responsive images – widths narrower than the source are generated per format
+const VARIANT_DIR = path.join(ASSET_ROOT, 'variants'); // git-ignored, rebuilt on demand
+const VARIANT_WIDTHS = [480, 960, 1600];
+const VARIANT_FORMATS = ['avif', 'webp'];
+const VARIANT_QUALITY = { avif: 50, webp: 75 };
+const PLACEHOLDER_WIDTH = 16; // px – inlined as a blurred data URI
+const RASTER_PATTERN = /\.(png|jpe?g|webp)$/i;
+
+// Offline support – sw.template.js is filled in and written to dist/sw.js
+const SW_TEMPLATE = path.join(__dirname, 'sw.template.js');
+const SW_OUTPUT = path.join(DIST_DIR, 'sw.js');
+// Shell precached on install (paths relative to src/); every top-level ES module is added too
+const SW_SHELL_FILES = [
+  'index.html',
+  'style.css',
+  'data/portfolio.json',
+  'assets/background-assets/rings-top.webp',
+  'assets/background-assets/rings-bottom.webp',
+  'assets/background-assets/paper-holes.webp',
+  'assets/background-assets/images/cardboard.jpg',
+  'assets/background-assets/images/portfolio-background.jpg',
+  'assets/background-assets/images/phone-cover.png',
+  'assets/videos/looping-shadows.webm',
+  'assets/videos/cookie-animation.webm',
+];
+const SW_SHELL_DIRS = [
+  'assets/fonts',
+  'assets/sounds',
+  'assets/strap',
+  'assets/portfolio-pages/folio-cover',
+  'assets/portfolio-pages/chapter-tabs',
+];
+
+// Content integrity – portfolio.json vs. the asset folder
+const PORTFOLIO_JSON = 'src/data/portfolio.json';
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov'];
+// Extensions each page type accepts for its asset fields (text pages have none)
+const TYPE_EXTENSIONS = {
+  image: IMAGE_EXTENSIONS,
+  video: VIDEO_EXTENSIONS,
+  comparison: IMAGE_EXTENSIONS,
+  gallery: IMAGE_EXTENSIONS,
+  link: IMAGE_EXTENSIONS,
+};
+// Defaults – override with "sizeBudget" in portfolio.json or --image-budget=<KB>,
+// --video-budget=<KB> and --fail-on-budget on the command line (flags win)
+const SIZE_BUDGET = {
+  image: 500 * 1024, // bytes per page (front + back) of image assets
+  video: 10 * 1024 * 1024, // bytes per page that holds a video
+  failOnBudget: false, // true turns budget overruns into hard errors
+};
+
+/**
+ * Load sharp lazily so the manifest still builds where it is not installed
+ * @returns {Function|null} sharp factory or null
+ */
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (e) {
+    console.warn('⚠️  sharp not installed – skipping responsive image variants (npm install to enable)');
+    return null;
+  }
+}
+
 /**
  * Clean the dist directory
  */
@@ -38,12 +105,66 @@ function walkDir(dir, filelist = []) {
   return filelist;
 }
 
+/**
+ * True when the variant exists and is newer than its source (incremental rebuilds)
+ * @param {string} source - Source file path
+ * @param {string} target - Variant file path
+ * @returns {boolean}
+ */
+function isFresh(source, target) {
+  return fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Generate width variants, intrinsic size and placeholder for one raster page
+ * @param {Function} sharp - sharp factory
+ * @param {string} pagesDir - Pages folder
+ * @param {string} relativePath - Page path relative to pagesDir
+ * @returns {Promise<Object>} { width, height, color, placeholder, variants: { [format]: [{ width, src }] } }
+ */
+async function buildImageVariants(sharp, pagesDir, relativePath) {
+  const source = path.join(pagesDir, relativePath);
+  const image = sharp(source);
+  const { width, height } = await image.metadata();
+  const { dominant } = await image.stats();
+  const placeholder = await sharp(source).resize(PLACEHOLDER_WIDTH).webp({ quality: 30 }).toBuffer();
+
+  const baseName = relativePath.replace(RASTER_PATTERN, '');
+  const variants = {};
+  for (const format of VARIANT_FORMATS) {
+    variants[format] = [];
+    for (const variantWidth of VARIANT_WIDTHS.filter((w) => w < width)) {
+      const variantPath = `${baseName}-${variantWidth}w.${format}`;
+      const target = path.join(VARIANT_DIR, variantPath);
+      if (!isFresh(source, target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        await sharp(source)
+          .resize(variantWidth)
+          [format]({ quality: VARIANT_QUALITY[format] })
+          .toFile(target);
+      }
+      // Stored relative to src/ so the browser can request it as-is
+      variants[format].push({ width: variantWidth, src: path.relative('src', target).replace(/\\/g, '/') });
+    }
+  }
+
+  const hex = (n) => n.toString(16).padStart(2, '0');
+  return {
+    width,
+    height,
+    color: `#${hex(dominant.r)}${hex(dominant.g)}${hex(dominant.b)}`,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    variants,
+  };
+}
+
 /**
  * Build the manifest – an array of pages from the main pages folder
  * title: "Portfolio Pages"
  * pages: array of relative paths that the browser can request
+ * images: per raster page – intrinsic size, placeholder and width variants
  */
-function buildManifest() {
+async function buildManifest() {
   if (!fs.existsSync(ASSET_ROOT)) {
     console.error(`Portfolio assets folder not found: ${ASSET_ROOT}`);
     process.exit(1);
@@ -78,10 +199,25 @@ function buildManifest() {
 
   console.log(`📑 Found ${pageFiles.length} portfolio files`);
 
+  // Responsive variants are an optimisation – a failure never blocks the build
+  const images = {};
+  const sharp = loadSharp();
+  if (sharp) {
+    for (const relativePath of pageFiles.filter((f) => RASTER_PATTERN.test(f))) {
+      try {
+        images[relativePath] = await buildImageVariants(sharp, pagesDir, relativePath);
+      } catch (e) {
+        console.warn(`⚠️  Could not build variants for ${relativePath}: ${e.message}`);
+      }
+    }
+    console.log(`🖼️  Responsive variants ready for ${Object.keys(images).length} images`);
+  }
+
   const manifest = {
     title: 'Portfolio Pages',
     pages: pageFiles,
     sizes: sizes,
+    images: images,
   };
 
   // Write to portfolioManifest.js
@@ -94,6 +230,238 @@ export const PORTFOLIO_MANIFEST = ${JSON.stringify(manifest, null, 2)};
   fs.writeFileSync(OUTPUT_FILE, manifestContent);
   console.log(`✅ Manifest written to ${OUTPUT_FILE}`);
   console.log(`📊 Total pages: ${pageFiles.length}`);
+  return manifest;
+}
+
+/**
+ * Short content hash used as a cache version
+ * @param {...(string|Buffer)} parts - Content to hash
+ * @returns {string}
+ */
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha1');
+  parts.forEach((part) => hash.update(part));
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Write dist/sw.js: the shell list plus cache versions derived from content hashes
+ * @param {Object} manifest - PORTFOLIO_MANIFEST as built by buildManifest()
+ */
+function buildServiceWorker(manifest) {
+  const srcDir = path.join(__dirname, 'src');
+  const modules = fs.readdirSync(srcDir).filter((f) => f.endsWith('.js'));
+  const fromDirs = SW_SHELL_DIRS.flatMap((dir) =>
+    fs.existsSync(path.join(srcDir, dir))
+      ? fs.readdirSync(path.join(srcDir, dir)).filter((f) => !f.startsWith('.')).map((f) => `${dir}/${f}`)
+      : []
+  );
+
+  const shellFiles = [...SW_SHELL_FILES, ...modules, ...fromDirs].filter((file) => {
+    const exists = fs.existsSync(path.join(srcDir, file)) && fs.statSync(path.join(srcDir, file)).isFile();
+    if (!exists) console.warn(`⚠️  Service worker shell file not found, skipping: ${file}`);
+    return exists;
+  });
+
+  // Cache versions come from content, never from the build time. portfolioManifest.js carries a
+  // "Last updated" stamp that changes every build, so it stays out of the shell hash – its
+  // content already versions the pages cache
+  const manifestFile = path.basename(OUTPUT_FILE);
+  const pagesVersion = hashContent(JSON.stringify(manifest));
+  const shellVersion = hashContent(
+    ...shellFiles.filter((file) => file !== manifestFile).map((file) => fs.readFileSync(path.join(srcDir, file)))
+  );
+
+  const worker = fs
+    .readFileSync(SW_TEMPLATE, 'utf8')
+    .replace('__SHELL_VERSION__', JSON.stringify(shellVersion))
+    .replace('__PAGES_VERSION__', JSON.stringify(pagesVersion))
+    .replace('__SHELL_FILES__', JSON.stringify(shellFiles, null, 2));
+
+  fs.writeFileSync(SW_OUTPUT, worker);
+  console.log(`📴 Service worker written to ${path.relative(__dirname, SW_OUTPUT)} (shell ${shellVersion}, pages ${pagesVersion}, ${shellFiles.length} shell files)`);
+}
+
+/**
+ * Every asset a page side (front or `back`) points at, with the JSON path for messages
+ * @param {Object} side - Page or back-block data
+ * @param {string} where - JSON path of the side
+ * @returns {{ asset: string, where: string, type: string }[]}
+ */
+function collectSideAssets(side, where) {
+  const refs = [];
+  const add = (asset, field) => {
+    if (typeof asset === 'string' && asset) refs.push({ asset, where: `${where}.${field}`, type: side.type });
+  };
+  add(side.asset, 'asset');
+  add(side.before, 'before');
+  add(side.after, 'after');
+  (Array.isArray(side.assets) ? side.assets : []).forEach((asset, i) => add(asset, `assets[${i}]`));
+  return refs;
+}
+
+/**
+ * Resolve the size budget: SIZE_BUDGET, then portfolio.json "sizeBudget"
+ * ({ imageKB, videoKB, failOnBudget }), then command-line flags
+ * @param {Object} data - Parsed portfolio.json
+ * @param {string[]} argv - Command-line arguments
+ * @returns {{ image: number, video: number, failOnBudget: boolean }} budget in bytes
+ */
+function resolveSizeBudget(data, argv = process.argv) {
+  const budget = { ...SIZE_BUDGET };
+  const fromJson = data.sizeBudget || {};
+  const flag = (name) => {
+    const arg = argv.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const applyKB = (kind, value, source) => {
+    if (value === undefined) return;
+    const kb = Number(value);
+    if (Number.isFinite(kb) && kb > 0) {
+      budget[kind] = kb * 1024;
+    } else {
+      console.warn(`⚠️  Ignoring ${source}: expected a positive number of KB, got "${value}"`);
+    }
+  };
+
+  applyKB('image', fromJson.imageKB, 'sizeBudget.imageKB in portfolio.json');
+  applyKB('video', fromJson.videoKB, 'sizeBudget.videoKB in portfolio.json');
+  if (typeof fromJson.failOnBudget === 'boolean') budget.failOnBudget = fromJson.failOnBudget;
+
+  applyKB('image', flag('image-budget'), '--image-budget');
+  applyKB('video', flag('video-budget'), '--video-budget');
+  if (argv.includes('--fail-on-budget')) budget.failOnBudget = true;
+  return budget;
+}
+
+/**
+ * Compare portfolio.json with src/assets/portfolio-pages and print a summary table
+ * Hard errors: missing files, type/extension mismatches (and budget overruns when
+ * the resolved budget has failOnBudget set). Everything else is a warning.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function checkIntegrity() {
+  const pagesDir = path.join(ASSET_ROOT, 'pages');
+  const data = JSON.parse(fs.readFileSync(PORTFOLIO_JSON, 'utf8'));
+  const budget = resolveSizeBudget(data);
+  const checks = {
+    'Missing assets': { severity: 'error', items: [] },
+    'Type/extension mismatch': { severity: 'error', items: [] },
+    'Over size budget': { severity: budget.failOnBudget ? 'error' : 'warning', items: [] },
+    'Referenced more than once': { severity: 'warning', items: [] },
+    'Identical files': { severity: 'warning', items: [] },
+    'Unreferenced files': { severity: 'warning', items: [] },
+  };
+
+  // 1. Page assets referenced in the JSON
+  const refs = [];
+  (data.projects || []).forEach((project, p) => {
+    (project.pages || []).forEach((page, i) => {
+      const where = `projects[${p}].pages[${i}]`;
+      refs.push(...collectSideAssets(page, where));
+      if (page.back) refs.push(...collectSideAssets(page.back, `${where}.back`));
+    });
+  });
+
+  const seen = new Map();
+  // Bytes per page (front + back) – galleries and comparisons count as a whole
+  const pageSizes = new Map();
+  refs.forEach(({ asset, where, type }) => {
+    const fullPath = path.join(pagesDir, asset);
+    if (!fs.existsSync(fullPath)) {
+      checks['Missing assets'].items.push(`${where}: ${asset}`);
+      return;
+    }
+
+    const ext = path.extname(asset).slice(1).toLowerCase();
+    const allowed = TYPE_EXTENSIONS[type];
+    if (allowed && !allowed.includes(ext)) {
+      checks['Type/extension mismatch'].items.push(`${where}: ${asset} is .${ext} but the page type is "${type}"`);
+    }
+
+    const page = where.match(/^projects\[\d+\]\.pages\[\d+\]/)[0];
+    const pageSize = pageSizes.get(page) || { bytes: 0, count: 0, video: false };
+    pageSize.bytes += fs.statSync(fullPath).size;
+    pageSize.count += 1;
+    pageSize.video = pageSize.video || VIDEO_EXTENSIONS.includes(ext);
+    pageSizes.set(page, pageSize);
+
+    if (seen.has(asset)) {
+      checks['Referenced more than once'].items.push(`${asset}: ${seen.get(asset)} and ${where}`);
+    } else {
+      seen.set(asset, where);
+    }
+  });
+
+  pageSizes.forEach(({ bytes, count, video }, page) => {
+    const limit = budget[video ? 'video' : 'image'];
+    if (bytes > limit) {
+      checks['Over size budget'].items.push(
+        `${page}: ${count} asset${count === 1 ? '' : 's'}, ${(bytes / 1024).toFixed(0)} KB (budget ${(limit / 1024).toFixed(0)} KB)`
+      );
+    }
+  });
+
+  // 2. Cover images and chapter tabs live in their own folders
+  const otherRefs = [];
+  ['front', 'back'].forEach((kind) => {
+    const image = data.covers?.[kind]?.image;
+    if (image) otherRefs.push({ file: path.join(ASSET_ROOT, 'folio-cover', image), where: `covers.${kind}.image` });
+  });
+  (data.projects || []).forEach((project, p) => {
+    if (project.tabImage) {
+      otherRefs.push({ file: path.join(ASSET_ROOT, 'chapter-tabs', project.tabImage), where: `projects[${p}].tabImage` });
+    }
+  });
+  otherRefs.forEach(({ file, where }) => {
+    if (!fs.existsSync(file)) checks['Missing assets'].items.push(`${where}: ${path.relative(ASSET_ROOT, file)}`);
+  });
+
+  // 3. Files on disk – unreferenced names and byte-identical copies
+  const hashes = new Map();
+  walkDir(pagesDir)
+    .map((f) => f.replace(/\\/g, '/'))
+    .filter((f) => !path.basename(f).startsWith('.'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }))
+    .forEach((file) => {
+      if (!seen.has(file)) checks['Unreferenced files'].items.push(file);
+      const hash = crypto.createHash('sha1').update(fs.readFileSync(path.join(pagesDir, file))).digest('hex');
+      if (hashes.has(hash)) {
+        checks['Identical files'].items.push(`${file} duplicates ${hashes.get(hash)}`);
+      } else {
+        hashes.set(hash, file);
+      }
+    });
+
+  // Details first, then the summary table
+  Object.entries(checks).forEach(([name, { severity, items }]) => {
+    if (items.length === 0) return;
+    const icon = severity === 'error' ? '❌' : '⚠️ ';
+    console.log(`\n${icon} ${name} (${items.length})`);
+    items.forEach((item) => console.log(`   - ${item}`));
+  });
+
+  const rows = Object.entries(checks).map(([name, { severity, items }]) => [
+    name,
+    String(items.length),
+    items.length === 0 ? 'ok' : severity,
+  ]);
+  const header = ['Check', 'Count', 'Status'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => `│ ${cells.map((cell, i) => cell.padEnd(widths[i])).join(' │ ')} │`;
+  const rule = (l, m, r) => `${l}${widths.map((w) => '─'.repeat(w + 2)).join(m)}${r}`;
+  console.log(`\n🔎 Content integrity: ${refs.length} page assets referenced, ${hashes.size} unique files on disk`);
+  console.log(rule('┌', '┬', '┐'));
+  console.log(line(header));
+  console.log(rule('├', '┼', '┤'));
+  rows.forEach((row) => console.log(line(row)));
+  console.log(rule('└', '┴', '┘'));
+
+  const collect = (severity) =>
+    Object.values(checks)
+      .filter((check) => check.severity === severity)
+      .flatMap((check) => check.items);
+  return { errors: collect('error'), warnings: collect('warning') };
 }
 
 /**
@@ -131,18 +499,38 @@ function copyRecursive(src, dest) {
 }
 
 // Main build process
-function main() {
+async function main() {
   console.log('🔨 Building portfolio...');
   
   cleanDist(); // Clean the dist directory before building
-  buildManifest();
+  const manifest = await buildManifest();
+
+  // Broken content fails the build instead of surfacing when someone flips to it
+  const { errors } = checkIntegrity();
+  if (errors.length > 0) {
+    console.error(`\n❌ Build failed: ${errors.length} content error${errors.length === 1 ? '' : 's'} (see above)`);
+    process.exit(1);
+  }
+
   copyAssets();
+  buildServiceWorker(manifest);
   
   console.log('✅ Build complete!');
 }
 
-if (require.main === module) {
-  main();
+// `node build.cjs --check` runs only the integrity check (no manifest, no dist)
+function check() {
+  const { errors } = checkIntegrity();
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+if (require.main === module && process.argv.includes('--check')) {
+  check();
+} else if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Build failed:', error);
+    process.exit(1);
+  });
 }
 
-module.exports = { buildManifest, copyAssets }; 
\ No newline at end of file
+module.exports = { buildManifest, buildServiceWorker, checkIntegrity, copyAssets }; 
\ No newline at end of file
@@ -38,20 +38,54 @@ import {
 import { PerformanceManager } from './performance.js';
 import {
   createPagesFromPortfolioData,
+  describePages,
   PortfolioLoader,
+  PortfolioValidationError,
   validatePortfolioSchema,
 } from './portfolioLoader.js';
 import { initBrowserTheme } from './browserTheme.js';
 import { initChapters } from './chapterManager.js';
+import { initBookmarks, attachBookmarkFlag } from './bookmarks.js';
+import { initOverview } from './overview.js';
+import { initCommandPalette } from './commandPalette.js';
+import { initShortcuts } from './shortcuts.js';
 import { zoomManager } from './zoomManager.js';
 import { initializeDynamicNoise } from './noiseGenerator.js';
 import { initializeHintsController } from './hintsController.js';
-import { initPreloader, cleanupPreloader } from './preloader.js';
+import { initPreloader, cleanupPreloader, observePage, unobservePage } from './preloader.js';
+import { PagePool } from './pagePool.js';
 import { headBobble } from './headBobble.js';
 import { initializeCookieVideo } from './cookieVideo.js';
 import { initializeHeaderController } from './headerController.js';
+import { registerServiceWorker } from './offline.js';
+import { initRouter } from './router.js';
+import { initResume } from './resume.js';
+import { initAutoplay, startAutoplay, stopAutoplay, isAutoplayRunning } from './autoplay.js';
+import { initPresenter } from './presenter.js';
+import { initPresenterView } from './presenterView.js';
+import { createNotebookApi } from './notebookApi.js';
 
 // === APPLICATION STATE ===
+/**
+ * The portfolio.json to load: ?src= when it names a file on this origin.
+ * Commentary and page content come from that file, so a link must not be able
+ * to point the notebook at someone else's JSON.
+ * @returns {string} Data source URL
+ */
+function resolveDataSource() {
+  const requested = new URLSearchParams(window.location.search).get('src');
+  if (!requested) return 'data/portfolio.json';
+
+  try {
+    const url = new URL(requested, window.location.href);
+    if (url.origin === window.location.origin && url.protocol === window.location.protocol) return requested;
+  } catch {
+    // Unparseable – fall through to the default
+  }
+  console.warn(`⚠️ Ignoring src outside this site: ${requested}`);
+  return 'data/portfolio.json';
+}
+
 /**
  * Global application state container
  * Implements specification-compliant state management
@@ -66,9 +100,12 @@ const ApplicationState = {
   /** @type {PerformanceManager} Performance manager instance */
   performanceManager: null,
 
-  /** @type {HTMLElement[]} All page elements */
+  /** @type {HTMLElement[]} All page elements (sparse when pooled) */
   pages: [],
 
+  /** @type {PagePool|null} Page pool for large notebooks, see PERFORMANCE.virtualizeAbovePages */
+  pagePool: null,
+
   /** @type {Function} Render pipeline function */
   renderPipeline: null,
 
@@ -82,10 +119,25 @@ const ApplicationState = {
   environment: {
     isPreview: new URLSearchParams(window.location.search).has('preview'),
     isDebug: new URLSearchParams(window.location.search).has('debug'),
+    // Mounted by <ringbound-notebook> / createNotebook() from embed.js
+    isEmbedded: new URLSearchParams(window.location.search).has('embed'),
+    // Infinite loop reading (carousel/kiosk), e.g. the loop attribute of <ringbound-notebook>
+    isLoop: new URLSearchParams(window.location.search).has('loop'),
+    // Unattended screen at events: autoplay without hints overlay, lock band or resume prompt
+    isKiosk: new URLSearchParams(window.location.search).has('kiosk'),
+    // Slideshow that flips pages by itself (implied by kiosk)
+    isAutoplay: ['autoplay', 'kiosk'].some(param => new URLSearchParams(window.location.search).has(param)),
+    // Speaker-notes window opened by presenter.js (PRESENTER.key) instead of the notebook
+    isPresenter: new URLSearchParams(window.location.search).has('presenter'),
+    // Alternative portfolio.json on the same origin, e.g. the src attribute of <ringbound-notebook>
+    dataSource: resolveDataSource(),
   },
 
   /** @type {Object} Zoom manager instance */
   zoomManager: null,
+
+  /** @type {Object} Public notebook API (window.notebook.api) */
+  api: null,
 };
 
 // === ERROR HANDLING ===
@@ -95,6 +147,9 @@ const ApplicationState = {
  * @param {string} context - Error context
  */
 function handleApplicationError(error, context = 'Application') {
+  // Errors bubble through several init phases – only report the first time
+  if (error && error.isReported) throw error;
+
   console.error(`❌ ${context} Error:`, error);
 
   // Log error details for debugging
@@ -105,6 +160,13 @@ function handleApplicationError(error, context = 'Application') {
     console.groupEnd();
   }
 
+  // Validation errors carry a list of path-precise messages – show all of them
+  const detailList = Array.isArray(error.errors) && error.errors.length
+    ? `<ul style="text-align: left; font-family: ui-monospace, monospace; font-size: 0.8rem; max-height: 40vh; overflow: auto; padding-left: 1.2rem;">
+        ${error.errors.map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+      </ul>`
+    : '';
+
   // Show user-friendly error message
   const errorMessage = `
     <div style="
@@ -114,7 +176,8 @@ function handleApplicationError(error, context = 'Application') {
     ">
       <h2>🔧 Application Error</h2>
       <p>The 3D portfolio encountered an error in ${context}.</p>
-      <p><strong>Error:</strong> ${error.message}</p>
+      <p><strong>Error:</strong> ${escapeHtml(error.message)}</p>
+      ${detailList}
       <p><small>Please refresh the page or check the console for details.</small></p>
       <button onclick="location.reload()" style="
         background: #007bff; color: white; border: none; padding: 0.5rem 1rem;
@@ -124,11 +187,25 @@ function handleApplicationError(error, context = 'Application') {
   `;
 
   document.body.insertAdjacentHTML('beforeend', errorMessage);
+  error.isReported = true;
 
   // Prevent further execution
   throw error;
 }
 
+/**
+ * Escape text for safe insertion into the error overlay markup
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // === INITIALIZATION FUNCTIONS ===
 
 /**
@@ -179,6 +256,39 @@ function initializeBrowserTheme() {
   }
 }
 
+/**
+ * Embedded mode: no first-visit hints overlay, body class for embed-specific styles
+ */
+function prepareEmbeddedMode() {
+  document.body.classList.add('body--embedded');
+  document.getElementById('overlay-hints')?.remove();
+  console.log('🧩 Running embedded');
+}
+
+/**
+ * Kiosk mode: nobody is there to dismiss hints, unlock the cover or answer the resume prompt
+ */
+function prepareKioskMode() {
+  document.getElementById('overlay-hints')?.remove();
+  GLOBAL_CONFIG.LOCK.enabled = false;
+  GLOBAL_CONFIG.RESUME.enabled = false;
+  console.log('🖥️ Running in kiosk mode');
+}
+
+/**
+ * Register the offline service worker
+ */
+function initializeOfflineSupport() {
+  // Embedded notebooks leave service workers to the host page
+  if (ApplicationState.environment.isEmbedded) return;
+  try {
+    registerServiceWorker();
+  } catch (error) {
+    console.warn('⚠️ Offline support initialization failed:', error);
+    // Non-critical error - continue without offline caching
+  }
+}
+
 /**
  * Initialize head bobble animation system
  */
@@ -204,6 +314,25 @@ function initializeHeadBobble() {
   }
 }
 
+/**
+ * Fetch the portfolio data (supports both static and preview modes)
+ * @returns {Promise<Object>} Unvalidated portfolio.json contents
+ */
+async function fetchPortfolioData() {
+  if (ApplicationState.environment.isPreview) {
+    const loader = new PortfolioLoader();
+    return loader.load();
+  }
+
+  // Runtime fetch for environments without JSON module support
+  const { dataSource } = ApplicationState.environment;
+  const response = await fetch(dataSource);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${dataSource}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
 /**
  * Load and validate portfolio content
  * @returns {Promise<HTMLElement[]>} Array of generated page elements
@@ -215,27 +344,14 @@ async function loadPortfolioContent() {
       throw new Error('Required DOM element #notebook not found');
     }
 
-    // Load portfolio data (supports both static and preview modes)
-    let portfolioDataToUse;
-
-    if (ApplicationState.environment.isPreview) {
-      const loader = new PortfolioLoader();
-      portfolioDataToUse = await loader.load();
-    } else {
-      // Runtime fetch for environments without JSON module support
-      const response = await fetch('data/portfolio.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load portfolio.json: HTTP ${response.status}`);
-      }
-      portfolioDataToUse = await response.json();
-    }
+    const portfolioDataToUse = await fetchPortfolioData();
 
     // Validate portfolio schema
     const validation = validatePortfolioSchema(portfolioDataToUse);
     if (!validation.isValid) {
       console.error('❌ Portfolio validation failed:');
       validation.errors.forEach(error => console.error(`  - ${error}`));
-      throw new Error('Portfolio data validation failed');
+      throw new PortfolioValidationError(validation.errors);
     }
 
     // Generate pages from validated data in the page-stack container
@@ -244,7 +360,21 @@ async function loadPortfolioContent() {
       throw new Error('Page stack container not found. Expected #page-stack.');
     }
 
-    const pages = createPagesFromPortfolioData(pageStack, portfolioDataToUse);
+    // Large notebooks keep only the sheets around the reader in the DOM
+    const descriptors = describePages(portfolioDataToUse);
+    let pages;
+    if (descriptors.length > GLOBAL_CONFIG.PERFORMANCE.virtualizeAbovePages) {
+      ApplicationState.pagePool = new PagePool(pageStack, descriptors, {
+        onBind: page => {
+          observePage(page);
+          attachBookmarkFlag(page);
+        },
+        onRelease: unobservePage,
+      });
+      pages = ApplicationState.pagePool.pages;
+    } else {
+      pages = createPagesFromPortfolioData(pageStack, portfolioDataToUse);
+    }
 
     // Update application state
     ApplicationState.pages = pages;
@@ -286,20 +416,145 @@ function initializeChapterSystem(pages, scrollEngine) {
       throw new Error('Notebook container not found');
     }
 
-    // Get actual page elements from the DOM
-    const pageElements = Array.from(notebook.querySelectorAll('.page'));
-
-    if (pageElements.length === 0) {
+    // Indexed by page number – chapter cover pages are always present, even when pooled
+    if (pages.length === 0) {
       throw new Error('No page elements found in notebook');
     }
 
-    initChapters(pageElements, notebook, scrollEngine);
+    initChapters(pages, notebook, scrollEngine);
   } catch (error) {
     console.warn('⚠️ Chapter system initialization failed:', error);
     // Non-critical error - continue without chapter navigation
   }
 }
 
+/**
+ * Initialize reader bookmarks
+ * @param {HTMLElement[]} pages - Page elements
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeBookmarks(pages, scrollEngine) {
+  try {
+    const notebook = document.getElementById('notebook');
+    if (!notebook) {
+      throw new Error('Notebook container not found');
+    }
+
+    // Bookmarks are kept per notebook – embeds with another src get their own
+    initBookmarks(pages, notebook, scrollEngine, ApplicationState.environment.dataSource);
+  } catch (error) {
+    console.warn('⚠️ Bookmarks initialization failed:', error);
+    // Non-critical error - continue without bookmarks
+  }
+}
+
+/**
+ * Initialize the keyboard shortcuts (page keys, zoom, go-to prompt, help overlay)
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeShortcuts(scrollEngine) {
+  try {
+    initShortcuts(scrollEngine, zoomManager);
+  } catch (error) {
+    console.warn('⚠️ Keyboard shortcut initialization failed:', error);
+    // Non-critical error - continue with wheel, touch and drag
+  }
+}
+
+/**
+ * Initialize the overview grid of all pages
+ * @param {HTMLElement[]} pages - Page elements
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeOverview(pages, scrollEngine) {
+  try {
+    initOverview(pages, scrollEngine);
+  } catch (error) {
+    console.warn('⚠️ Overview initialization failed:', error);
+    // Non-critical error - continue with linear and chapter navigation
+  }
+}
+
+/**
+ * Initialize the command palette
+ * @param {HTMLElement[]} pages - Page elements
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeCommandPalette(pages, scrollEngine) {
+  try {
+    initCommandPalette(pages, scrollEngine, ApplicationState.pagePool);
+  } catch (error) {
+    console.warn('⚠️ Command palette initialization failed:', error);
+    // Non-critical error - continue with shortcuts and chapter tabs
+  }
+}
+
+/**
+ * Initialize deep links and browser history
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeRouter(scrollEngine) {
+  try {
+    // Embedded notebooks share the host page's session history – keep theirs out of it
+    initRouter(scrollEngine, { pushHistory: !ApplicationState.environment.isEmbedded });
+  } catch (error) {
+    console.warn('⚠️ Router initialization failed:', error);
+    // Non-critical error - continue without URL state
+  }
+}
+
+/**
+ * Remember the reading position and offer it to returning visitors
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeResume(scrollEngine) {
+  try {
+    initResume(scrollEngine, ApplicationState.environment.dataSource);
+  } catch (error) {
+    console.warn('⚠️ Resume reading initialization failed:', error);
+    // Non-critical error - continue starting on the cover
+  }
+}
+
+/**
+ * Sync with the presenter window and open it with PRESENTER.key
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializePresenter(scrollEngine) {
+  try {
+    initPresenter(scrollEngine, ApplicationState.environment.dataSource);
+  } catch (error) {
+    console.warn('⚠️ Presenter mode initialization failed:', error);
+    // Non-critical error - continue without a presenter window
+  }
+}
+
+/**
+ * Show the presenter window (?presenter) instead of the notebook
+ */
+async function startPresenterView() {
+  try {
+    const descriptors = describePages(await fetchPortfolioData());
+    initPresenterView(descriptors, ApplicationState.environment.dataSource);
+  } catch (error) {
+    handleApplicationError(error, 'Presenter View');
+  }
+}
+
+/**
+ * Initialize the autoplay slideshow (started by ?autoplay / ?kiosk or AUTOPLAY.enabled)
+ * @param {HTMLElement[]} pages - Page elements
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+function initializeAutoplay(pages, scrollEngine) {
+  try {
+    initAutoplay(pages, scrollEngine);
+  } catch (error) {
+    console.warn('⚠️ Autoplay initialization failed:', error);
+    // Non-critical error - continue with manual page flipping
+  }
+}
+
 /**
  * Create and initialize the render pipeline
  * @param {HTMLElement[]} pages - Page elements
@@ -308,7 +563,7 @@ function initializeChapterSystem(pages, scrollEngine) {
  */
 function createRenderingPipeline(pages, scrollEngine) {
   try {
-    const renderPipeline = createRenderPipeline(pages);
+    const renderPipeline = createRenderPipeline(pages, ApplicationState.pagePool);
 
     // Subscribe to scroll state changes
     scrollEngine.addObserver(scrollState => {
@@ -375,11 +630,32 @@ async function bootstrap() {
   try {
     console.log('🔄 Initializing Ring-Bound Notebook Application...');
 
+    // The presenter window shares the notebook's data but none of its scene
+    if (ApplicationState.environment.isPresenter) {
+      await startPresenterView();
+      return;
+    }
+
+    // Phase 0: Strip page-level chrome when mounted inside another page
+    if (ApplicationState.environment.isEmbedded) {
+      prepareEmbeddedMode();
+    }
+    if (ApplicationState.environment.isLoop) {
+      GLOBAL_CONFIG.LOOP.enabled = true;
+    }
+    if (ApplicationState.environment.isKiosk) {
+      prepareKioskMode();
+    }
+    if (ApplicationState.environment.isAutoplay) {
+      GLOBAL_CONFIG.AUTOPLAY.enabled = true;
+    }
+
     // Phase 1: Initialize core systems
     initializePerformanceSystem();
     initializeBrowserTheme();
     initializeDynamicNoise();
     initializeHeadBobble();
+    initializeOfflineSupport();
 
     // Phase 2: Load and validate content
     const pages = await loadPortfolioContent();
@@ -398,7 +674,11 @@ async function bootstrap() {
     if (!container) throw new Error('Container element not found');
 
     ApplicationState.scrollEngine = initializeScrollEngine(container, ApplicationState.pageCount);
+    initializeShortcuts(ApplicationState.scrollEngine);
     initializeChapterSystem(pages, ApplicationState.scrollEngine);
+    initializeBookmarks(pages, ApplicationState.scrollEngine);
+    initializeOverview(pages, ApplicationState.scrollEngine);
+    initializeCommandPalette(pages, ApplicationState.scrollEngine);
 
     // Initialize header controller for minimize-on-scroll/zoom
     initializeHeaderController(ApplicationState.scrollEngine, zoomManager);
@@ -406,20 +686,37 @@ async function bootstrap() {
     // Phase 4: Create render pipeline
     ApplicationState.renderPipeline = createRenderingPipeline(pages, ApplicationState.scrollEngine);
 
+    // Phase 4.5: Restore the page named in the URL (or offer the saved one), track it from here on
+    // and keep the presenter window on the same page
+    initializeRouter(ApplicationState.scrollEngine);
+    initializeResume(ApplicationState.scrollEngine);
+    initializePresenter(ApplicationState.scrollEngine);
+
     // Phase 5: Initialize zoom system
     ApplicationState.zoomManager = zoomManager;
     const notebookContainer = document.querySelector('.notebook');
     const clickContainer = document.querySelector('.page-wrapper');
     zoomManager.initialize(notebookContainer, clickContainer, ApplicationState.scrollEngine);
 
+    // Phase 5.5: Expose the public API for embedding pages
+    ApplicationState.api = createNotebookApi({
+      scrollEngine: ApplicationState.scrollEngine,
+      zoomManager,
+    });
+    window.notebook.api = ApplicationState.api;
+
     // Phase 6: Initialize hints controller
     initializeHintsController(ApplicationState.scrollEngine);
 
     // Phase 7: Initialize cookie video system
     initializeCookieVideo();
 
+    // Phase 7.5: Start the slideshow once everything it could wait on exists
+    initializeAutoplay(pages, ApplicationState.scrollEngine);
+
     // Phase 8: Finalize application
     finalizeApplication();
+    ApplicationState.api.markReady();
 
     console.log('🎉 Application bootstrap complete!');
     console.log('💡 TIP: Click anywhere on the notebook area to zoom in/out (80% ⇄ 100%)');
@@ -474,8 +771,10 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
-// Handle window beforeunload for cleanup
-window.addEventListener('beforeunload', cleanup);
+// Clean up when the page goes away – including an embedded notebook whose element was removed
+window.addEventListener('pagehide', event => {
+  if (!event.persisted) cleanup();
+});
 
 // Handle resize events for responsive behavior
 window.addEventListener('resize', () => {
@@ -730,6 +1029,42 @@ window.notebook.rings = {
   },
 };
 
+// Page physics tuning – PagePhysics reads GLOBAL_CONFIG.PHYSICS every frame
+const PHYSICS_DEFAULTS = { ...GLOBAL_CONFIG.PHYSICS };
+
+window.notebook.physics = {
+  /**
+   * Update physics settings, effective on the next frame
+   * @param {Object} settings - e.g. { gravity: 3, stiffness: 5, damping: 0.5 }
+   */
+  update(settings) {
+    Object.assign(GLOBAL_CONFIG.PHYSICS, settings);
+    console.log('🪂 Physics settings updated:', settings);
+  },
+
+  /**
+   * Get current physics settings
+   */
+  getSettings() {
+    return { ...GLOBAL_CONFIG.PHYSICS };
+  },
+
+  /**
+   * Reset physics to config defaults
+   */
+  reset() {
+    Object.assign(GLOBAL_CONFIG.PHYSICS, PHYSICS_DEFAULTS);
+    console.log('🪂 Physics settings reset');
+  },
+};
+
+// Slideshow control – autoplay.js also pauses by itself on visitor input
+window.notebook.autoplay = {
+  start: startAutoplay,
+  stop: stopAutoplay,
+  isRunning: isAutoplayRunning,
+};
+
 // Expose head bobble control utilities for runtime adjustment
 window.notebook.headBobble = {
   /**
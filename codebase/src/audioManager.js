@@ -1,10 +1,11 @@
 // AudioManager – minimal global SFX helper for LockedPortfolio and future use
 // ------------------------------------------------------------
 // Handles: pre-loading OGG files, resuming AudioContext on first user gesture,
-//          and playing short, latency-free sound effects.
+//          playing short, latency-free sound effects and muting them all.
 // The module purposely avoids any external dependencies so it can load early.
 
 import { GLOBAL_CONFIG } from './config.js';
+import { registerCommand } from './commandPalette.js';
 
 // Detect codec support
 const testAudio = document.createElement('audio');
@@ -23,6 +24,10 @@ const SOUND_PATHS = {
 // WebAudio context (created lazily to avoid autoplay restrictions)
 const ctx = new (window.AudioContext || window.webkitAudioContext)();
 let isContextUnlocked = false;
+// Every sound goes through one gain node so mute silences them all at once
+const masterGain = ctx.createGain();
+masterGain.connect(ctx.destination);
+let isMutedState = false;
 // -----------------------------------------------------------------
 // Scroll-wheel click loop (iPod-style)
 // -----------------------------------------------------------------
@@ -78,7 +83,7 @@ function startWheelLoop() {
   wheelFilter = ctx.createBiquadFilter();
   updateWheelTimbre();
 
-  wheelSource.connect(wheelFilter).connect(wheelGain).connect(ctx.destination);
+  wheelSource.connect(wheelFilter).connect(wheelGain).connect(masterGain);
   wheelSource.start();
   if (GLOBAL_CONFIG.DEBUG?.audio) console.log('🎵 wheel loop start');
 }
@@ -197,7 +202,7 @@ function startRustleLoop() {
   bp.frequency.value = 1400;
   bp.Q.value = 1;
 
-  rustleSource.connect(bp).connect(rustleGain).connect(ctx.destination);
+  rustleSource.connect(bp).connect(rustleGain).connect(masterGain);
   rustleSource.start();
 }
 
@@ -241,7 +246,7 @@ export function playWhoosh(velDegPerSec = 0) {
   bp.frequency.value = 2200;
   bp.Q.value = 1;
 
-  src.connect(bp).connect(g).connect(ctx.destination);
+  src.connect(bp).connect(g).connect(masterGain);
   src.start();
 }
 
@@ -279,7 +284,44 @@ export function playPap() {
   const lp = ctx.createBiquadFilter();
   lp.type = 'lowpass';
   lp.frequency.value = 800;
-  src.connect(lp).connect(g).connect(ctx.destination);
+  src.connect(lp).connect(g).connect(masterGain);
+  src.start();
+}
+
+// riffle – a bundle of sheets brushing past each other on a long jump
+function createRiffleBuffer(sheets, durationMs) {
+  const sampleRate = ctx.sampleRate;
+  const length = Math.floor(sampleRate * durationMs / 1000);
+  const buffer = ctx.createBuffer(1, length, sampleRate);
+  const data = buffer.getChannelData(0);
+  const tickLength = Math.floor(sampleRate * 0.004); // 4 ms per sheet edge
+  const ticks = Math.min(sheets, GLOBAL_CONFIG.SOUND.riffle.maxTicks);
+
+  for (let k = 0; k < ticks; k++) {
+    // Sheets pass fastest mid-riffle (same ease as the bundle's rotation)
+    const at = Math.acos(1 - 2 * (k + Math.random() * 0.5) / ticks) / Math.PI;
+    const start = Math.floor(at * (length - tickLength));
+    const amp = 0.5 + Math.random() * 0.5;
+    for (let i = 0; i < tickLength; i++) {
+      data[start + i] += (Math.random() * 2 - 1) * amp * Math.exp(-6 * i / tickLength);
+    }
+  }
+  return buffer;
+}
+
+export function playRiffle(sheets, durationMs) {
+  const cfg = GLOBAL_CONFIG.SOUND.riffle;
+  if (!cfg?.enabled || sheets < 1 || durationMs <= 0) return;
+  resumeContext();
+  const src = ctx.createBufferSource();
+  src.buffer = createRiffleBuffer(sheets, durationMs);
+  const g = ctx.createGain();
+  g.gain.value = cfg.gain;
+  // Paper edges: drop the low rumble, keep the crisp ticks
+  const hp = ctx.createBiquadFilter();
+  hp.type = 'highpass';
+  hp.frequency.value = cfg.cutoffHz;
+  src.connect(hp).connect(g).connect(masterGain);
   src.start();
 }
 
@@ -299,7 +341,7 @@ function playFlipClickInternal() {
   lp.type = 'lowpass';
   lp.frequency.value = 1200;
 
-  src.connect(lp).connect(g).connect(ctx.destination);
+  src.connect(lp).connect(g).connect(masterGain);
   src.start();
 }
 
@@ -370,6 +412,7 @@ export function play(id) {
     // Fallback to HTMLAudio for browsers that can't decode OGG (e.g., Safari)
     const audioTag = new Audio(SOUND_PATHS[id]);
     audioTag.volume = 1;
+    audioTag.muted = isMutedState;
     const tryPlay = () => audioTag.play().catch(err => log('HTMLAudio play error', err));
     audioTag.addEventListener('canplaythrough', tryPlay, { once: true });
     tryPlay();
@@ -377,10 +420,27 @@ export function play(id) {
   }
   const source = ctx.createBufferSource();
   source.buffer = buffer;
-  source.connect(ctx.destination);
+  source.connect(masterGain);
   source.start();
 }
 
+/**
+ * Silence or restore every sound effect
+ * @param {boolean} muted - True to mute
+ */
+export function setMuted(muted) {
+  isMutedState = muted;
+  masterGain.gain.value = muted ? 0 : 1;
+  log(muted ? 'Muted' : 'Unmuted');
+}
+
+export function isMuted() {
+  return isMutedState;
+}
+
+registerCommand({ id: 'mute', title: 'Mute sounds', keywords: 'audio sound off silence', run: () => setMuted(true), when: () => !isMutedState });
+registerCommand({ id: 'unmute', title: 'Unmute sounds', keywords: 'audio sound on', run: () => setMuted(false), when: () => isMutedState });
+
 // Convenience helpers for debugging
 export function isUnlocked() {
   return isContextUnlocked;
@@ -433,6 +493,6 @@ export function playKnock() {
   const lp = ctx.createBiquadFilter();
   lp.type = 'lowpass';
   lp.frequency.value = cfg.cutoffHz;
-  src.connect(lp).connect(g).connect(ctx.destination);
+  src.connect(lp).connect(g).connect(masterGain);
   src.start();
 } 
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * AUTOPLAY - SLIDESHOW AND KIOSK MODE
+ *
+ * Turns the notebook into a slideshow for screens at events. Once the notebook
+ * rests on a page it waits that page's dwell time (`dwell` in portfolio.json,
+ * else AUTOPLAY.dwell), lets the commentary typewriter finish and then flips
+ * to the next page through the scroll engine.
+ *
+ * - Any wheel, key, pointer or touch input pauses autoplay; it continues after
+ *   AUTOPLAY.resumeAfter ms without input.
+ * - At the back cover it returns to the front cover (AUTOPLAY.loop) or stops.
+ *   In infinite loop mode it simply keeps going round.
+ * - ?autoplay starts it on load; ?kiosk also skips the hints overlay and lock band.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { isCommentaryTyping } from './render.js';
+
+const INPUT_EVENTS = ['wheel', 'keydown', 'pointerdown', 'touchstart'];
+
+let engine = null;
+let pageElements = [];
+let running = false;
+let paused = false; // Waiting for the visitor to stop interacting
+let dwellTimeout = null;
+let idleTimeout = null;
+let scheduledScroll = null; // Resting position the dwell timer was started for
+
+/**
+ * Dwell time for a page
+ * @param {number} page - Page index
+ * @returns {number} Milliseconds
+ */
+function getDwell(page) {
+  const dwell = Number(pageElements[page]?.dataset.dwell);
+  return dwell > 0 ? dwell : GLOBAL_CONFIG.AUTOPLAY.dwell;
+}
+
+/**
+ * Cancel the pending flip
+ */
+function cancelFlip() {
+  clearTimeout(dwellTimeout);
+  dwellTimeout = null;
+  scheduledScroll = null;
+  document.removeEventListener('commentary:complete', advance);
+}
+
+/**
+ * Start the dwell timer for the page the notebook rests on
+ */
+function scheduleFlip() {
+  cancelFlip();
+  if (!running || paused) return;
+
+  const state = engine.getScrollState();
+  if (state.isMoving) return; // Mid-flip – the observer reschedules
+
+  scheduledScroll = state.scroll;
+  dwellTimeout = setTimeout(advance, getDwell(state.currentPage));
+}
+
+/**
+ * Flip to the next page once the commentary has finished typing
+ */
+function advance() {
+  dwellTimeout = null;
+  if (!running || paused) return;
+
+  if (isCommentaryTyping()) {
+    document.addEventListener('commentary:complete', advance, { once: true });
+    return;
+  }
+
+  // Locked cover or a paused engine – try again after another dwell
+  if (window.isPortfolioLocked || engine.inputPaused) {
+    scheduleFlip();
+    return;
+  }
+
+  const { currentPage, loop } = engine.getScrollState();
+  if (!loop && currentPage >= engine.maxPages - 1) {
+    if (GLOBAL_CONFIG.AUTOPLAY.loop) {
+      engine.jumpToPage(0);
+    } else {
+      console.log('▶️ Autoplay reached the back cover');
+      stopAutoplay();
+    }
+    return;
+  }
+  engine.flipBy(1);
+}
+
+/**
+ * Scroll observer – starts the dwell timer whenever the notebook comes to rest
+ * @param {Object} state - Scroll state from VirtualScrollEngine
+ */
+function handleScrollState(state) {
+  if (!running || paused) return;
+
+  if (state.isMoving) {
+    if (scheduledScroll !== null) cancelFlip(); // Moving – time the page it lands on
+    return;
+  }
+  if (state.scroll !== scheduledScroll) scheduleFlip();
+}
+
+/**
+ * Pause on visitor input and continue once they have been idle
+ */
+function handleUserInput() {
+  if (!running) return;
+
+  if (!paused) console.log('⏸️ Autoplay paused for visitor input');
+  paused = true;
+  cancelFlip();
+  clearTimeout(idleTimeout);
+  idleTimeout = setTimeout(() => {
+    paused = false;
+    console.log('▶️ Autoplay resumed');
+    scheduleFlip();
+  }, GLOBAL_CONFIG.AUTOPLAY.resumeAfter);
+}
+
+/**
+ * Start the slideshow
+ */
+export function startAutoplay() {
+  if (!engine || running) return;
+
+  running = true;
+  paused = false;
+  INPUT_EVENTS.forEach(type =>
+    document.addEventListener(type, handleUserInput, { capture: true, passive: true })
+  );
+  scheduleFlip();
+  console.log('▶️ Autoplay started');
+}
+
+/**
+ * Stop the slideshow
+ */
+export function stopAutoplay() {
+  if (!running) return;
+
+  running = false;
+  paused = false;
+  cancelFlip();
+  clearTimeout(idleTimeout);
+  INPUT_EVENTS.forEach(type => document.removeEventListener(type, handleUserInput, { capture: true }));
+  console.log('⏹️ Autoplay stopped');
+}
+
+/**
+ * Whether the slideshow is running (it may be paused for input)
+ * @returns {boolean}
+ */
+export function isAutoplayRunning() {
+  return running;
+}
+
+/**
+ * Connect autoplay to the scroll engine and start it when AUTOPLAY.enabled is set.
+ * @param {HTMLElement[]} pages - Page elements indexed by page number (sparse when pooled)
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+export function initAutoplay(pages, scrollEngine) {
+  if (engine) return;
+  engine = scrollEngine;
+  pageElements = pages;
+
+  engine.addObserver(handleScrollState);
+  if (GLOBAL_CONFIG.AUTOPLAY.enabled) startAutoplay();
+}
@@ -0,0 +1,293 @@
+/**
+ * BOOKMARKS - STICKY-NOTE FLAGS ON THE PAGE EDGE
+ *
+ * Readers mark the current page with BOOKMARKS.key or the bookmark button.
+ * Each bookmark is a coloured flag sticking out of the page's side edge. Like
+ * the chapter tabs it is a child of the page element, so it turns with the page.
+ * Clicking a flag or an entry in the bookmark list jumps to the page.
+ *
+ * Bookmarks are saved in localStorage per notebook (keyed by its portfolio.json
+ * source) and every change is announced as 'bookmark:state' on document.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { findChapterForPage } from './chapters.js';
+import { registerShortcut } from './shortcuts.js';
+
+const STORAGE_PREFIX = 'ringbound-bookmarks:';
+
+// Global state for bookmarks
+let bookmarks = []; // { page, slot } sorted by page – slot picks colour and flag position
+let storageKey = null;
+let pageElements = [];
+let scrollEngineInstance = null;
+let currentPage = 0;
+let controls = null;
+
+/**
+ * Read saved bookmarks, dropping entries that don't fit this notebook
+ * @returns {Object[]} Bookmarks
+ */
+function loadBookmarks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    return saved
+      .filter(b => Number.isInteger(b?.page) && b.page >= 0 && b.page < pageElements.length)
+      .map(b => ({ page: b.page, slot: Number.isInteger(b.slot) ? b.slot : 0 }))
+      .sort((a, b) => a.page - b.page);
+  } catch (error) {
+    console.warn('⚠️ Could not read saved bookmarks:', error);
+    return [];
+  }
+}
+
+/**
+ * Persist bookmarks for this notebook
+ */
+function saveBookmarks() {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(bookmarks));
+  } catch (error) {
+    console.warn('⚠️ Could not save bookmarks:', error);
+    // Non-critical error - bookmarks last for this visit only
+  }
+}
+
+/**
+ * Lowest slot not taken, so colours are reused once a bookmark is removed
+ * @returns {number} Slot
+ */
+function getFreeSlot() {
+  const taken = new Set(bookmarks.map(b => b.slot));
+  let slot = 0;
+  while (taken.has(slot)) slot++;
+  return slot;
+}
+
+/**
+ * Sticky-note colour for a slot
+ * @param {number} slot - Bookmark slot
+ * @returns {string} CSS colour
+ */
+function getBookmarkColor(slot) {
+  const { colors } = GLOBAL_CONFIG.BOOKMARKS;
+  return colors[slot % colors.length];
+}
+
+/**
+ * Human-readable page name for the bookmark list
+ * @param {number} page - Page index
+ * @returns {string} Label
+ */
+function describePage(page) {
+  if (page === 0) return 'Front cover';
+  if (page === pageElements.length - 1) return 'Back cover';
+  const chapter = findChapterForPage(page);
+  if (chapter) return `${chapter.title} – p. ${page - chapter.page + 1}`;
+  return `Page ${page + 1}`;
+}
+
+/**
+ * Create the sticky-note flag for a bookmark
+ * @param {Object} bookmark - Bookmark
+ * @returns {HTMLElement} Flag element
+ */
+function createFlagElement(bookmark) {
+  const flag = document.createElement('div');
+  flag.className = 'page-bookmark';
+  flag.dataset.page = bookmark.page;
+  flag.setAttribute('role', 'button');
+  flag.setAttribute('tabindex', '0');
+  flag.setAttribute('aria-label', `Jump to bookmark: ${describePage(bookmark.page)}`);
+  flag.style.setProperty('--bookmark-color', getBookmarkColor(bookmark.slot));
+  flag.style.setProperty('--bookmark-position', bookmark.slot % GLOBAL_CONFIG.BOOKMARKS.flagPositions);
+  return flag;
+}
+
+/**
+ * Give a page element the flag of its bookmark (or remove a stale one).
+ * pagePool.js calls this through onBind when it rebinds an element.
+ * @param {HTMLElement} pageElement - Page element
+ */
+export function attachBookmarkFlag(pageElement) {
+  pageElement.querySelector(':scope > .page-bookmark')?.remove();
+
+  const page = Number(pageElement.dataset.globalIndex);
+  const bookmark = bookmarks.find(b => b.page === page);
+  if (bookmark) pageElement.appendChild(createFlagElement(bookmark));
+}
+
+/**
+ * Current bookmarks
+ * @returns {Object[]} { page, label } sorted by page
+ */
+export function getBookmarks() {
+  return bookmarks.map(b => ({ page: b.page, label: describePage(b.page) }));
+}
+
+/**
+ * Add or remove the bookmark on a page
+ * @param {number} [page] - Page index (defaults to the current page)
+ * @returns {boolean} Whether the page is bookmarked afterwards
+ */
+export function toggleBookmark(page = currentPage) {
+  if (!storageKey || page < 0 || page >= pageElements.length) return false;
+
+  const existing = bookmarks.findIndex(b => b.page === page);
+  if (existing >= 0) {
+    bookmarks.splice(existing, 1);
+  } else {
+    bookmarks.push({ page, slot: getFreeSlot() });
+    bookmarks.sort((a, b) => a.page - b.page);
+  }
+  const bookmarked = existing < 0;
+
+  saveBookmarks();
+  // Unbound pages of a pooled notebook are holes – forEach skips them
+  pageElements.forEach(pageElement => attachBookmarkFlag(pageElement));
+  updateControls();
+
+  document.dispatchEvent(
+    new CustomEvent('bookmark:state', { detail: { page, bookmarked, bookmarks: getBookmarks() } })
+  );
+  console.log(`🔖 ${bookmarked ? 'Bookmarked' : 'Removed bookmark on'} page ${page}`);
+  return bookmarked;
+}
+
+/**
+ * Jump to a bookmarked page
+ * @param {number} page - Page index
+ */
+function jumpToBookmark(page) {
+  if (window.isPortfolioLocked) return;
+  scrollEngineInstance?.jumpToPage?.(page);
+}
+
+/**
+ * Build the bookmark button and list (fixed in the corner, also in embeds)
+ * @returns {Object} Control elements
+ */
+function createControls() {
+  const root = document.createElement('div');
+  root.className = 'bookmarks';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'bookmarks__toggle';
+  toggle.title = `Bookmark this page (${GLOBAL_CONFIG.BOOKMARKS.key.toUpperCase()})`;
+  toggle.innerHTML =
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M6 2h12a1 1 0 0 1 1 1v19l-7-4.5L5 22V3a1 1 0 0 1 1-1z"/></svg>';
+  toggle.addEventListener('click', () => {
+    if (!window.isPortfolioLocked) toggleBookmark();
+  });
+
+  const details = document.createElement('details');
+  details.className = 'bookmarks__panel';
+  const summary = document.createElement('summary');
+  summary.className = 'bookmarks__summary';
+  const list = document.createElement('ol');
+  list.className = 'bookmarks__list';
+  list.addEventListener('click', event => {
+    const entry = event.target.closest('[data-page]');
+    if (!entry) return;
+    jumpToBookmark(Number(entry.dataset.page));
+    details.open = false;
+  });
+  details.append(summary, list);
+  // A long list scrolls itself instead of flipping pages
+  list.addEventListener('wheel', event => event.stopPropagation(), { passive: true });
+
+  root.append(toggle, details);
+  document.body.appendChild(root);
+  return { root, toggle, summary, list };
+}
+
+/**
+ * Reflect the current page and bookmarks in the button and list
+ */
+function updateControls() {
+  if (!controls) return;
+
+  const bookmarked = bookmarks.some(b => b.page === currentPage);
+  controls.toggle.setAttribute('aria-pressed', String(bookmarked));
+  controls.toggle.setAttribute('aria-label', bookmarked ? 'Remove bookmark from this page' : 'Bookmark this page');
+  controls.summary.textContent = `Bookmarks (${bookmarks.length})`;
+  controls.root.classList.toggle('bookmarks--empty', bookmarks.length === 0);
+
+  controls.list.replaceChildren(
+    ...bookmarks.map(({ page, slot }) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.page = page;
+      button.textContent = describePage(page);
+      button.style.setProperty('--bookmark-color', getBookmarkColor(slot));
+      if (page === currentPage) button.setAttribute('aria-current', 'page');
+      item.appendChild(button);
+      return item;
+    })
+  );
+}
+
+/**
+ * Handle flag clicks (capture phase, so the click doesn't zoom the page)
+ * @param {Event} event - Click event
+ */
+function handleFlagClick(event) {
+  const flag = event.target.closest('.page-bookmark');
+  if (!flag) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  jumpToBookmark(Number(flag.dataset.page));
+}
+
+/**
+ * Handle flag keyboard events for accessibility
+ * @param {Event} event - Keyboard event
+ */
+function handleFlagKeydown(event) {
+  const flag = event.target.closest('.page-bookmark');
+  if (!flag || !['Enter', ' '].includes(event.key)) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  jumpToBookmark(Number(flag.dataset.page));
+}
+
+/**
+ * Initializes bookmarks: restores saved ones and creates the flags and controls.
+ * @param {HTMLElement[]} pages - Page elements indexed by page number (sparse when pooled)
+ * @param {HTMLElement} notebook - The main notebook container element
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ * @param {string} notebookId - Identifies the notebook in localStorage (its data source)
+ */
+export function initBookmarks(pages, notebook, scrollEngine, notebookId) {
+  if (!GLOBAL_CONFIG.BOOKMARKS.enabled) return;
+
+  pageElements = pages;
+  scrollEngineInstance = scrollEngine;
+  storageKey = `${STORAGE_PREFIX}${notebookId}`;
+  currentPage = scrollEngine.getScrollState().currentPage;
+  bookmarks = loadBookmarks();
+
+  pageElements.forEach(pageElement => attachBookmarkFlag(pageElement));
+  controls = createControls();
+  updateControls();
+
+  notebook.addEventListener('click', handleFlagClick, true);
+  notebook.addEventListener('keydown', handleFlagKeydown, true);
+  registerShortcut(GLOBAL_CONFIG.BOOKMARKS.key, () => toggleBookmark(), {
+    description: 'Bookmark this page (again to remove)',
+    group: 'Pages',
+  });
+
+  // Keep the button state in step with the page the notebook rests on
+  scrollEngine.addObserver(state => {
+    if (state.currentPage === currentPage) return;
+    currentPage = state.currentPage;
+    updateControls();
+  });
+
+  console.log(`🔖 Bookmarks initialized: ${bookmarks.length} saved`);
+}
@@ -1,13 +1,21 @@
-import { CHAPTERS } from './chapters.js';
+import { GLOBAL_CONFIG } from './config.js';
+import { CHAPTERS, findChapterForPage, describeChapter } from './chapters.js';
+import { registerShortcut } from './shortcuts.js';
+import { registerCommand } from './commandPalette.js';
 
 // Constants for tab styling
 const TAB_HEIGHT_PERCENT = 8; // percentage of page height
 const TAB_SPACING_PERCENT = 2; // percentage spacing between tabs
 
 // Global state for chapter navigation
-let currentChapterIndex = 0;
+let currentChapterIndex = -1; // -1 on the front cover, CHAPTERS.length on the back cover
 let isInitialized = false;
 let scrollEngineInstance = null;
+let chapterMenu = null; // Chapter list behind the "more" tab, built on first open
+const tabElements = []; // Chapter tabs by chapter index (none for chapters behind the "more" tab)
+let moreTab = null;
+let settledPage = null;
+let activeChapter = null; // Chapter of the settled page, as reported by describeChapter()
 
 /**
  * Get the CSS variable value for tab safe area horizontal padding
@@ -25,7 +33,7 @@ function getTabSafeAreaHorizontal() {
 function navigateToNextChapter() {
   if (CHAPTERS.length === 0) return;
   
-  currentChapterIndex = (currentChapterIndex + 1) % CHAPTERS.length;
+  currentChapterIndex = currentChapterIndex + 1 >= CHAPTERS.length ? 0 : currentChapterIndex + 1;
   const targetChapter = CHAPTERS[currentChapterIndex];
   
   if (scrollEngineInstance?.jumpToPage) {
@@ -39,7 +47,7 @@ function navigateToNextChapter() {
 function navigateToPreviousChapter() {
   if (CHAPTERS.length === 0) return;
   
-  currentChapterIndex = (currentChapterIndex - 1 + CHAPTERS.length) % CHAPTERS.length;
+  currentChapterIndex = currentChapterIndex - 1 < 0 ? CHAPTERS.length - 1 : currentChapterIndex - 1;
   const targetChapter = CHAPTERS[currentChapterIndex];
   
   if (scrollEngineInstance?.jumpToPage) {
@@ -48,25 +56,37 @@ function navigateToPreviousChapter() {
 }
 
 /**
- * Handle global keyboard navigation for chapter cycling
- * @param {Event} event - Keyboard event
+ * Tab / Shift+Tab shortcut for chapter cycling
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean|undefined} False to leave Tab to focus navigation
  */
-function handleGlobalKeydown(event) {
-  if (window.isPortfolioLocked) return;
-  if (!isInitialized || CHAPTERS.length === 0 || event.key !== 'Tab') return;
-  
+function handleChapterCycleKey(event) {
+  if (!isInitialized || scrollEngineInstance?.inputPaused) return false;
+
+  // On a tab, in the chapter list, or on a control or dialog around the notebook
+  // (resume prompt, bookmarks, shortcut list), Tab moves focus as usual
   const activeElement = document.activeElement;
-  const isOnTab = activeElement?.closest('.page-tab');
-  
-  if (!isOnTab) {
-    event.preventDefault();
-    
-    if (event.shiftKey) {
-      navigateToPreviousChapter();
-    } else {
-      navigateToNextChapter();
-    }
+  if (activeElement?.closest('.page-tab, .chapter-menu')) return false;
+  if (activeElement?.closest('button, a[href], [role="button"], [role="dialog"]') && !activeElement.closest('.page-stack')) {
+    return false;
   }
+
+  if (event.shiftKey) {
+    navigateToPreviousChapter();
+  } else {
+    navigateToNextChapter();
+  }
+}
+
+/**
+ * 1–9 shortcut: jump to that chapter
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean|undefined} False when there is no such chapter
+ */
+function handleChapterNumberKey(event) {
+  const chapterIndex = Number(event.key) - 1;
+  if (!isInitialized || scrollEngineInstance?.inputPaused || chapterIndex >= CHAPTERS.length) return false;
+  jumpToChapter(chapterIndex);
 }
 
 /**
@@ -78,17 +98,20 @@ function handleTabClick(event) {
   const tab = event.target.closest('.page-tab');
   if (!tab) return;
 
+  if ('chapterMenu' in tab.dataset) {
+    if (chapterMenu && !chapterMenu.hidden) closeChapterMenu();
+    else openChapterMenu();
+    event.preventDefault();
+    event.stopPropagation();
+    return;
+  }
+
   const chapterIndex = parseInt(tab.dataset.chapterIndex, 10);
   if (isNaN(chapterIndex) || chapterIndex < 0 || chapterIndex >= CHAPTERS.length) {
     return;
   }
 
-  currentChapterIndex = chapterIndex;
-  const targetChapter = CHAPTERS[chapterIndex];
-
-  if (scrollEngineInstance?.jumpToPage) {
-    scrollEngineInstance.jumpToPage(targetChapter.page);
-  }
+  jumpToChapter(chapterIndex);
 
   event.preventDefault();
   event.stopPropagation();
@@ -115,64 +138,100 @@ function handleTabKeydown(event) {
 }
 
 /**
- * Initialize tab click handlers and global keyboard navigation
+ * Initialize tab click handlers and the chapter shortcuts
  * @param {HTMLElement} notebook - The main notebook container element
  */
 function initTabClickHandlers(notebook) {
   notebook.addEventListener('click', handleTabClick, true);
   notebook.addEventListener('keydown', handleTabKeydown, true);
-  document.addEventListener('keydown', handleGlobalKeydown, true);
-}
-
-/**
- * Create a fallback SVG icon for tabs without images
- * @returns {SVGElement} SVG element
- */
-function createFallbackTabIcon() {
-  const svgNS = 'http://www.w3.org/2000/svg';
-  const svg = document.createElementNS(svgNS, 'svg');
-  svg.setAttribute('width', '100%');
-  svg.setAttribute('height', '100%');
-  svg.setAttribute('viewBox', '0 0 100 100');
-  svg.style.display = 'block';
-
-  const rect = document.createElementNS(svgNS, 'rect');
-  rect.setAttribute('x', '10');
-  rect.setAttribute('y', '25');
-  rect.setAttribute('width', '80');
-  rect.setAttribute('height', '50');
-  rect.setAttribute('rx', '8');
-  rect.setAttribute('fill', '#fff8');
-  rect.setAttribute('stroke', '#333');
-  rect.setAttribute('stroke-width', '3');
-  
-  svg.appendChild(rect);
-  return svg;
+
+  registerShortcut('Tab', handleChapterCycleKey, {
+    description: 'Next / previous chapter',
+    group: 'Chapters',
+    label: 'Tab / Shift+Tab',
+  });
+  registerShortcut(['1', '2', '3', '4', '5', '6', '7', '8', '9'], handleChapterNumberKey, {
+    description: `Jump to chapter 1–${Math.min(CHAPTERS.length, 9)}`,
+    group: 'Chapters',
+    label: `1 – ${Math.min(CHAPTERS.length, 9)}`,
+  });
 }
 
 /**
- * Calculate tab dimensions and positioning
+ * Calculate tab dimensions and positioning. Tabs share one row along the bottom
+ * edge until they would get narrower than TABS.minWidth, then stagger into up
+ * to TABS.maxRows rows like index dividers – each row sticks out a little
+ * further and sits half a tab along, so the rows behind peek out. Chapters
+ * that still don't fit go behind a "more" tab in the last slot.
  * @param {number} totalTabs - Total number of tabs
  * @param {number} pageWidth - Width of page element
  * @returns {Object} Tab dimensions and positioning data
  */
 function calculateTabLayout(totalTabs, pageWidth) {
+  const { minWidth, maxRows, rowStep } = GLOBAL_CONFIG.TABS;
   const safeAreaPx = getTabSafeAreaHorizontal();
   const safeAreaPercent = (safeAreaPx / pageWidth) * 100;
-  
-  const totalGaps = totalTabs - 1;
-  const totalSpacingPercent = totalGaps * TAB_SPACING_PERCENT;
   const totalSafeAreaPercent = safeAreaPercent * 2;
-  const availableWidthPercent = 100 - totalSpacingPercent - totalSafeAreaPercent;
-  const tabWidthPercent = availableWidthPercent / totalTabs;
+  const availableWidthPercent = 100 - totalSafeAreaPercent;
+
+  // Rows needed for tabs no narrower than minWidth
+  const minWidthPercent = (minWidth / pageWidth) * 100;
+  const fitPerRow = Math.max(1, Math.floor((availableWidthPercent + TAB_SPACING_PERCENT) / (minWidthPercent + TAB_SPACING_PERCENT)));
+  const rows = Math.min(Math.max(1, maxRows), Math.ceil(totalTabs / fitPerRow));
+  const hasOverflow = totalTabs > rows * fitPerRow;
+  const totalSlots = hasOverflow ? rows * fitPerRow : totalTabs;
+  const tabsPerRow = Math.ceil(totalSlots / rows);
+
+  // Leave room for the last row's offset
+  const stagger = (rows - 1) / rows;
+  const tabWidthPercent =
+    (availableWidthPercent - (tabsPerRow - 1 + stagger) * TAB_SPACING_PERCENT) / (tabsPerRow + stagger);
 
   return {
     tabWidthPercent,
     safeAreaPercent,
-    totalSafeAreaPercent
+    totalSafeAreaPercent,
+    rows,
+    tabsPerRow,
+    rowStep,
+    // The "more" tab takes the last slot when chapters overflow
+    tabbedChapters: hasOverflow ? totalSlots - 1 : totalTabs
   };
 }
 
+/**
+ * Size and place a tab in its slot of the layout
+ * @param {HTMLElement} tab - Tab element
+ * @param {number} slot - Slot index, row by row
+ * @param {Object} layout - Tab layout data
+ */
+function positionTab(tab, slot, layout) {
+  const row = Math.floor(slot / layout.tabsPerRow);
+  const column = slot % layout.tabsPerRow;
+  const pitch = layout.tabWidthPercent + TAB_SPACING_PERCENT;
+  const reach = row * layout.rowStep; // Extra length below the rows in front
+
+  tab.style.width = `${layout.tabWidthPercent}%`;
+  tab.style.height = `${TAB_HEIGHT_PERCENT + reach}%`;
+  tab.style.bottom = `-${TAB_HEIGHT_PERCENT * 0.75 + reach}%`;
+  tab.style.left = `${layout.safeAreaPercent + (row / layout.rows + column) * pitch}%`;
+
+  // Labels of rows further back sit in the strip that shows below the rows in front
+  if (row > 0) tab.classList.add('page-tab--staggered');
+}
+
+/**
+ * Create the text label drawn on a tab
+ * @param {string} text - Label text
+ * @returns {HTMLElement} Label element
+ */
+function createTabLabel(text) {
+  const label = document.createElement('span');
+  label.className = 'page-tab__label';
+  label.textContent = text;
+  return label;
+}
+
 /**
  * Create and style a single tab element
  * @param {Object} chapter - Chapter data
@@ -183,30 +242,36 @@ function calculateTabLayout(totalTabs, pageWidth) {
 function createTabElement(chapter, index, layout) {
   const tab = document.createElement('div');
   tab.className = 'page-tab';
-  tab.textContent = chapter.title;
   
   // Store chapter index and accessibility attributes
   tab.dataset.chapterIndex = index;
   tab.setAttribute('aria-label', `Jump to ${chapter.title}`);
-  tab.setAttribute('role', 'button');
+  if (chapter.subtitle) {
+    tab.dataset.subtitle = chapter.subtitle;
+    tab.title = `${chapter.title} – ${chapter.subtitle}`;
+  }
+  tab.setAttribute('role', 'tab');
+  tab.setAttribute('aria-selected', 'false');
   tab.setAttribute('tabindex', '0');
 
   // Apply styling
   tab.style.backgroundColor = chapter.color;
-  tab.style.width = `${layout.tabWidthPercent}%`;
-  tab.style.height = `${TAB_HEIGHT_PERCENT}%`;
-  tab.style.bottom = `-${TAB_HEIGHT_PERCENT * 0.75}%`;
-
-  // Position tab
-  const leftPositionPercent = layout.safeAreaPercent + index * (layout.tabWidthPercent + TAB_SPACING_PERCENT);
-  tab.style.left = `${leftPositionPercent}%`;
+  positionTab(tab, index, layout);
 
-  // Set background image or fallback icon
+  // Chapter title as the label, hidden while tab artwork covers it
+  tab.appendChild(createTabLabel(chapter.title));
   if (chapter.tabImage) {
-    tab.style.backgroundImage = `url('assets/portfolio-pages/chapter-tabs/${chapter.tabImage}')`;
+    const src = `assets/portfolio-pages/chapter-tabs/${chapter.tabImage}`;
+    tab.style.backgroundImage = `url('${src}')`;
     tab.classList.add('tab-with-image');
-  } else {
-    tab.appendChild(createFallbackTabIcon());
+
+    // Missing artwork (e.g. filename-grouped chapters past the shipped tab images) falls back to the label
+    const probe = new Image();
+    probe.onerror = () => {
+      tab.style.backgroundImage = '';
+      tab.classList.remove('tab-with-image');
+    };
+    probe.src = src;
   }
 
   // Set CSS variables for proper stacking
@@ -218,6 +283,185 @@ function createTabElement(chapter, index, layout) {
   return tab;
 }
 
+/**
+ * Create the overflow tab that opens the chapter list
+ * @param {Object} layout - Tab layout data
+ * @returns {HTMLElement} Tab element
+ */
+function createMoreTab(layout) {
+  const hiddenChapters = CHAPTERS.length - layout.tabbedChapters;
+  const tab = document.createElement('div');
+  tab.className = 'page-tab page-tab--more';
+  tab.dataset.chapterMenu = '';
+  tab.setAttribute('aria-label', `All chapters (${hiddenChapters} more)`);
+  tab.setAttribute('aria-haspopup', 'dialog');
+  tab.setAttribute('aria-expanded', 'false');
+  tab.setAttribute('role', 'button');
+  tab.setAttribute('tabindex', '0');
+
+  positionTab(tab, layout.tabbedChapters, layout);
+  tab.appendChild(createTabLabel(`+${hiddenChapters} more`));
+  tab.style.setProperty('--tab-index', CHAPTERS.length - layout.tabbedChapters);
+
+  return tab;
+}
+
+/**
+ * Jump to a chapter and remember it for Tab / Shift+Tab cycling
+ * @param {number} chapterIndex - Index into CHAPTERS
+ */
+function jumpToChapter(chapterIndex) {
+  currentChapterIndex = chapterIndex;
+  const targetChapter = CHAPTERS[chapterIndex];
+
+  if (scrollEngineInstance?.jumpToPage) {
+    scrollEngineInstance.jumpToPage(targetChapter.page);
+  }
+}
+
+/**
+ * Build the chapter list opened by the "more" tab
+ * @returns {HTMLElement} Menu element
+ */
+function createChapterMenu() {
+  const menu = document.createElement('div');
+  menu.className = 'chapter-menu';
+  menu.setAttribute('role', 'dialog');
+  menu.setAttribute('aria-label', 'Chapters');
+  menu.hidden = true;
+
+  const list = document.createElement('ol');
+  list.className = 'chapter-menu__list';
+  CHAPTERS.forEach((chapter, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.chapterIndex = index;
+    button.style.setProperty('--chapter-color', chapter.color);
+    button.textContent = chapter.title;
+    if (chapter.subtitle) {
+      const subtitle = document.createElement('small');
+      subtitle.textContent = chapter.subtitle;
+      button.appendChild(subtitle);
+    }
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+  menu.appendChild(list);
+
+  menu.addEventListener('click', event => {
+    const button = event.target.closest('[data-chapter-index]');
+    if (!button) return;
+    closeChapterMenu();
+    jumpToChapter(Number(button.dataset.chapterIndex));
+  });
+  // The list scrolls itself instead of flipping pages
+  menu.addEventListener('wheel', event => event.stopPropagation(), { passive: true });
+
+  document.body.appendChild(menu);
+  return menu;
+}
+
+/**
+ * Show the chapter list, with the current chapter marked and focused
+ */
+function openChapterMenu() {
+  if (!chapterMenu) chapterMenu = createChapterMenu();
+  const currentPage = scrollEngineInstance?.getScrollState().currentPage;
+  const current = findChapterForPage(currentPage);
+
+  chapterMenu.querySelectorAll('[data-chapter-index]').forEach(button => {
+    if (CHAPTERS[button.dataset.chapterIndex] === current) button.setAttribute('aria-current', 'true');
+    else button.removeAttribute('aria-current');
+  });
+  chapterMenu.hidden = false;
+  moreTab?.setAttribute('aria-expanded', 'true');
+  (chapterMenu.querySelector('[aria-current]') || chapterMenu.querySelector('button'))?.focus({ preventScroll: true });
+  chapterMenu.querySelector('[aria-current]')?.scrollIntoView?.({ block: 'nearest' });
+
+  document.addEventListener('keydown', handleMenuKeydown, true);
+  document.addEventListener('pointerdown', handleMenuPointerDown, true);
+}
+
+/**
+ * Hide the chapter list
+ */
+function closeChapterMenu() {
+  if (!chapterMenu || chapterMenu.hidden) return;
+  chapterMenu.hidden = true;
+  moreTab?.setAttribute('aria-expanded', 'false');
+  document.removeEventListener('keydown', handleMenuKeydown, true);
+  document.removeEventListener('pointerdown', handleMenuPointerDown, true);
+}
+
+/**
+ * Escape closes the chapter list; arrow keys, Space and Enter work the list instead of flipping pages
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleMenuKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    closeChapterMenu();
+    return;
+  }
+  if ((event.key === ' ' || event.key === 'Enter') && chapterMenu.contains(document.activeElement)) {
+    event.stopPropagation(); // Activates the focused chapter without flipping a page
+    return;
+  }
+  if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  const buttons = [...chapterMenu.querySelectorAll('button')];
+  const index = buttons.indexOf(document.activeElement);
+  const next = index + (event.key === 'ArrowUp' ? -1 : 1);
+  buttons[Math.min(buttons.length - 1, Math.max(0, next))].focus();
+}
+
+/**
+ * Close the chapter list on a press outside it (the "more" tab toggles it itself)
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleMenuPointerDown(event) {
+  if (event.target.closest?.('.chapter-menu, .page-tab--more')) return;
+  closeChapterMenu();
+}
+
+/**
+ * Raise the tab of the active chapter – or the "more" tab when the chapter has no tab of its own
+ */
+function updateActiveTab() {
+  const activeIndex = activeChapter?.index ?? -1;
+  tabElements.forEach((tab, index) => {
+    tab.classList.toggle('page-tab--active', index === activeIndex);
+    tab.setAttribute('aria-selected', String(index === activeIndex));
+  });
+  moreTab?.classList.toggle('page-tab--active', activeIndex >= 0 && !tabElements[activeIndex]);
+}
+
+/**
+ * Follow the scroll engine: whenever the notebook settles in another chapter,
+ * mark its tab and dispatch `chapter:change` (the notebook API's chapterchange)
+ * @param {Object} state - Scroll state from the engine
+ */
+function handleScrollState(state) {
+  if (state.isMoving) return; // Mid-flip or mid-riffle
+  if (state.currentPage === settledPage) return;
+  settledPage = state.currentPage;
+
+  const chapter = describeChapter(settledPage);
+  if (chapter) currentChapterIndex = chapter.index;
+  else currentChapterIndex = settledPage === 0 ? -1 : CHAPTERS.length; // Covers: before the first / after the last chapter
+
+  if (chapter?.id === activeChapter?.id) return;
+  const previousChapter = activeChapter;
+  activeChapter = chapter;
+  updateActiveTab();
+
+  document.dispatchEvent(new CustomEvent('chapter:change', { detail: { chapter, previousChapter } }));
+}
+
 /**
  * Initializes the chapter navigation system.
  * Creates tabs and attaches them to the corresponding pages.
@@ -236,19 +480,42 @@ export function initChapters(pages, notebook, scrollEngine) {
   const pageWidth = pageElement?.offsetWidth || 800;
   const layout = calculateTabLayout(totalTabs, pageWidth);
 
-  // Create tabs for each chapter
-  CHAPTERS.forEach((chapter, index) => {
+  // Create tabs for each chapter that has a slot
+  CHAPTERS.slice(0, layout.tabbedChapters).forEach((chapter, index) => {
     if (chapter.page < pages.length) {
       const pageElement = pages[chapter.page];
       const tab = createTabElement(chapter, index, layout);
       pageElement.appendChild(tab);
+      tabElements[index] = tab;
     }
   });
 
+  // The rest are listed behind a "more" tab on the back cover, under every other page
+  if (layout.tabbedChapters < totalTabs) {
+    moreTab = createMoreTab(layout);
+    pages[pages.length - 1]?.appendChild(moreTab);
+  }
+
   // Initialize event handlers
   initTabClickHandlers(notebook);
+
+  // Every chapter can be found by title in the command palette, tab or not
+  CHAPTERS.forEach((chapter, index) => {
+    registerCommand({
+      id: `chapter-${chapter.id}`,
+      title: chapter.title,
+      group: 'Chapters',
+      keywords: `chapter ${index + 1} ${chapter.subtitle || ''}`,
+      run: () => jumpToChapter(index),
+    });
+  });
   
+  // Track the active chapter from the page the notebook settles on
+  scrollEngine.addObserver(handleScrollState);
+  handleScrollState(scrollEngine.getScrollState());
+
   // Mark as initialized
   isInitialized = true;
-  currentChapterIndex = 0;
+
+  console.log(`📑 Chapter tabs: ${layout.tabbedChapters} of ${totalTabs} in ${layout.rows} row${layout.rows > 1 ? 's' : ''}`);
 }
@@ -1 +1,21 @@
 export const CHAPTERS = [];
+
+/**
+ * Find the chapter a page belongs to
+ * @param {number} page - Page index in the notebook
+ * @returns {Object|undefined} CHAPTERS entry, or undefined for covers
+ */
+export function findChapterForPage(page) {
+  return CHAPTERS.find(c => page >= c.page && page < c.page + c.pageCount);
+}
+
+/**
+ * Describe the chapter containing a page, as reported in chapter events
+ * @param {number} page - Page index in the notebook
+ * @returns {{id: string, title: string, index: number}|null} Null for the covers
+ */
+export function describeChapter(page) {
+  const chapter = findChapterForPage(page);
+  if (!chapter) return null;
+  return { id: chapter.id, title: chapter.title, index: CHAPTERS.indexOf(chapter) };
+}
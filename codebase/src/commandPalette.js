@@ -0,0 +1,377 @@
+/**
+ * COMMAND PALETTE - SEARCH CHAPTERS, PAGES AND COMMANDS
+ *
+ * Ctrl/Cmd + COMMAND_PALETTE.key opens a search box styled like the pixel
+ * commentary screen. Typing fuzzy-matches three kinds of entries:
+ *
+ * - Commands registered with registerCommand() by the modules that own them
+ *   (zoom, mute, debug panel, chapters, covers) – new features show up here
+ *   by registering theirs when they initialise.
+ * - Chapter titles (registered by chapterManager.js).
+ * - Page commentary, indexed from the pages themselves.
+ *
+ * With nothing typed it lists the commands. Arrow keys pick a result, Enter
+ * runs it and Escape closes the palette.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { describeChapter } from './chapters.js';
+import { registerShortcut, openShortcutHelp, openGotoPrompt } from './shortcuts.js';
+
+// Global state for the command palette
+const commands = [];
+let pageEntries = [];
+let scrollEngineInstance = null;
+let palette = null;
+let input = null;
+let list = null;
+let results = [];
+let selectedIndex = 0;
+let returnFocus = null; // Element focused before the palette opened
+
+/**
+ * Register a command in the palette
+ * @param {Object} command
+ * @param {string} command.id - Unique id; registering the same id again replaces the command
+ * @param {string} command.title - Shown in the palette and searched
+ * @param {Function} command.run - Called when the command is chosen
+ * @param {string} [command.group='Commands'] - Shown next to the title (Commands, Chapters, …)
+ * @param {string} [command.keywords] - Extra words the search matches, not shown
+ * @param {Function} [command.when] - Returns false while the command doesn't apply (e.g. "Zoom in" when zoomed)
+ * @returns {Function} Removes the command again
+ */
+export function registerCommand({ id, title, run, group = 'Commands', keywords = '', when }) {
+  const existing = commands.findIndex(command => command.id === id);
+  if (existing !== -1) commands.splice(existing, 1);
+
+  const command = { id, title, run, group, keywords, when };
+  commands.push(command);
+
+  return () => {
+    const index = commands.indexOf(command);
+    if (index !== -1) commands.splice(index, 1);
+  };
+}
+
+/**
+ * Score how well a query word matches text, letters in order but not
+ * necessarily adjacent. Runs of adjacent letters and word starts score higher,
+ * gaps score lower, so scattered matches in long commentary sink.
+ * @param {string} word - Lowercase query word
+ * @param {string} text - Lowercase text to search
+ * @returns {number|null} Score, or null when the letters don't all appear in order
+ */
+function scoreWord(word, text) {
+  // A plain substring beats any scattered match
+  const substring = text.indexOf(word);
+  if (substring !== -1) {
+    const atWordStart = substring === 0 || /\W/.test(text[substring - 1]);
+    return word.length * 3 + (atWordStart ? 2 : 0);
+  }
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+  for (const letter of word) {
+    const found = text.indexOf(letter, position);
+    if (found === -1) return null;
+    if (found === previous + 1) score += 2;
+    else if (found === 0 || /\W/.test(text[found - 1])) score += 1.5;
+    else score += 1 - Math.min(found - position, 10) * 0.1;
+    previous = found;
+    position = found + 1;
+  }
+  return score;
+}
+
+/**
+ * Score an entry against every word of the query
+ * @param {string[]} words - Lowercase query words
+ * @param {string} text - Lowercase searchable text of the entry
+ * @returns {number|null} Total score, or null if a word doesn't match
+ */
+function scoreEntry(words, text) {
+  let total = 0;
+  for (const word of words) {
+    const score = scoreWord(word, text);
+    if (score === null) return null;
+    total += score;
+  }
+  return total;
+}
+
+/**
+ * Shorten commentary for a result row
+ * @param {string} text - Commentary
+ * @returns {string} At most COMMAND_PALETTE.snippetLength characters
+ */
+function toSnippet(text) {
+  const { snippetLength } = GLOBAL_CONFIG.COMMAND_PALETTE;
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > snippetLength ? `${flat.slice(0, snippetLength - 1).trimEnd()}…` : flat;
+}
+
+/**
+ * Index the commentary of every page. A page's back commentary is read once
+ * it has turned, so it leads to the page after it.
+ * @param {HTMLElement[]} pages - Page elements (sparse for a pooled notebook)
+ * @param {PagePool} [pagePool] - Page pool, whose descriptors cover unbound pages
+ * @returns {Object[]} Page entries
+ */
+function indexPages(pages, pagePool) {
+  const last = pages.length - 1;
+  const entries = [];
+
+  const addEntry = (text, page) => {
+    if (!text || page > last) return;
+    const chapter = describeChapter(page);
+    const where = page === 0 ? 'Front cover' : page === last ? 'Back cover' : chapter?.title;
+    entries.push({
+      title: toSnippet(text),
+      group: where ? `Page ${page + 1} · ${where}` : `Page ${page + 1}`,
+      search: `page ${page + 1} ${text}`.toLowerCase(),
+      run: () => scrollEngineInstance.jumpToPage(page),
+    });
+  };
+
+  for (let index = 0; index <= last; index++) {
+    const page = pages[index];
+    const data = page ? null : pagePool?.descriptors[index]?.data;
+    addEntry(page ? page.dataset.commentary : data?.commentary, index);
+    addEntry(page ? page.dataset.backCommentary : data?.back?.commentary, index + 1);
+  }
+  return entries;
+}
+
+/**
+ * Entries matching the current query, best first
+ * @param {string} query - Text typed into the palette
+ * @returns {Object[]} At most COMMAND_PALETTE.maxResults entries
+ */
+function search(query) {
+  const available = commands
+    .filter(command => !command.when || command.when() !== false)
+    .map(command => ({ ...command, search: `${command.title} ${command.keywords}`.toLowerCase() }));
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const { maxResults } = GLOBAL_CONFIG.COMMAND_PALETTE;
+
+  // Nothing typed yet: general commands first, then chapters and the rest
+  if (words.length === 0) {
+    const general = available.filter(command => command.group === 'Commands');
+    return [...general, ...available.filter(command => command.group !== 'Commands')].slice(0, maxResults);
+  }
+
+  return [...available, ...pageEntries]
+    .map((entry, order) => ({ entry, order, score: scoreEntry(words, entry.search) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score || a.order - b.order) // Commands before pages on a tie
+    .slice(0, maxResults)
+    .map(result => result.entry);
+}
+
+/**
+ * Show the results for the current query
+ */
+function updateResults() {
+  results = search(input.value);
+  selectedIndex = 0;
+  list.replaceChildren(...results.map((entry, index) => {
+    const option = document.createElement('li');
+    option.className = 'command-palette__option';
+    option.id = `command-palette-option-${index}`;
+    option.setAttribute('role', 'option');
+
+    const title = document.createElement('span');
+    title.className = 'command-palette__title';
+    title.textContent = entry.title;
+    const group = document.createElement('span');
+    group.className = 'command-palette__group';
+    group.textContent = entry.group;
+    option.append(title, group);
+    return option;
+  }));
+
+  if (results.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'command-palette__empty';
+    empty.textContent = 'No matches';
+    list.appendChild(empty);
+  }
+  updateSelection();
+}
+
+/**
+ * Mark the selected result
+ */
+function updateSelection() {
+  [...list.querySelectorAll('.command-palette__option')].forEach((option, index) => {
+    const selected = index === selectedIndex;
+    option.setAttribute('aria-selected', selected);
+    if (selected) option.scrollIntoView?.({ block: 'nearest' });
+  });
+
+  if (results.length > 0) input.setAttribute('aria-activedescendant', `command-palette-option-${selectedIndex}`);
+  else input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Close the palette and run a result
+ * @param {number} index - Index into the current results
+ */
+function runResult(index) {
+  const entry = results[index];
+  if (!entry) return;
+  closeCommandPalette();
+  entry.run();
+}
+
+/**
+ * Keys inside the palette: pick, run, close
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handlePaletteKeydown(event) {
+  const { key } = GLOBAL_CONFIG.COMMAND_PALETTE;
+
+  if (event.key === 'Escape' || ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === key)) {
+    closeCommandPalette();
+  } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    if (results.length === 0) return;
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    selectedIndex = (selectedIndex + step + results.length) % results.length;
+    updateSelection();
+  } else if (event.key === 'Enter') {
+    runResult(selectedIndex);
+  } else {
+    return; // Typing – leave it to the input
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+/**
+ * Build the palette overlay
+ * @returns {HTMLElement} Overlay element
+ */
+function createPalette() {
+  const overlay = document.createElement('div');
+  overlay.className = 'command-palette';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-label', 'Command palette');
+  overlay.innerHTML = `
+    <div class="command-palette__panel">
+      <input class="command-palette__input" type="text" role="combobox" aria-expanded="true"
+        aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+        placeholder="Search chapters, pages and commands…">
+      <ul class="command-palette__list" id="command-palette-list" role="listbox" aria-label="Results"></ul>
+    </div>
+  `;
+  input = overlay.querySelector('.command-palette__input');
+  list = overlay.querySelector('.command-palette__list');
+
+  input.addEventListener('input', updateResults);
+  input.addEventListener('keydown', handlePaletteKeydown);
+  list.addEventListener('click', event => {
+    const option = event.target.closest('.command-palette__option');
+    if (option) runResult([...list.children].indexOf(option));
+  });
+  list.addEventListener('pointermove', event => {
+    const option = event.target.closest('.command-palette__option');
+    const index = option ? [...list.children].indexOf(option) : -1;
+    if (index !== -1 && index !== selectedIndex) {
+      selectedIndex = index;
+      updateSelection();
+    }
+  });
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) closeCommandPalette();
+  });
+  // The results scroll themselves instead of flipping pages
+  overlay.addEventListener('wheel', event => event.stopPropagation(), { passive: true });
+  return overlay;
+}
+
+/**
+ * Open the palette
+ */
+export function openCommandPalette() {
+  if (palette) {
+    input.focus();
+    return;
+  }
+
+  returnFocus = document.activeElement;
+  palette = createPalette();
+
+  // Glow in the colour of the chapter being read, like the commentary screen
+  const chapterColor = document.querySelector('.pixel-screen')?.style.getPropertyValue('--chapter-color');
+  if (chapterColor) palette.style.setProperty('--chapter-color', chapterColor);
+
+  document.body.appendChild(palette);
+  updateResults();
+  input.focus();
+}
+
+/**
+ * Close the palette and give focus back
+ */
+export function closeCommandPalette() {
+  if (!palette) return;
+  palette.remove();
+  palette = input = list = null;
+  results = [];
+  returnFocus?.focus?.({ preventScroll: true });
+  returnFocus = null;
+}
+
+/**
+ * Whether the palette is open
+ * @returns {boolean}
+ */
+export function isCommandPaletteOpen() {
+  return palette !== null;
+}
+
+/**
+ * Set up the palette: index page commentary, register the navigation
+ * commands and the Ctrl/Cmd shortcut
+ * @param {HTMLElement[]} pages - Page elements
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ * @param {PagePool} [pagePool] - Page pool of a virtualised notebook
+ */
+export function initCommandPalette(pages, scrollEngine, pagePool) {
+  scrollEngineInstance = scrollEngine;
+  pageEntries = indexPages(pages, pagePool);
+
+  registerCommand({
+    id: 'restart',
+    title: 'Restart from the front cover',
+    keywords: 'go to front cover start over beginning home first page',
+    run: () => scrollEngine.jumpToPage(0),
+  });
+  registerCommand({
+    id: 'back-cover',
+    title: 'Go to back cover',
+    keywords: 'end last page',
+    run: () => scrollEngine.jumpToPage(scrollEngine.maxPages - 1),
+  });
+  registerCommand({
+    id: 'go-to-page',
+    title: 'Go to page…',
+    keywords: 'number jump',
+    run: () => openGotoPrompt(scrollEngine),
+  });
+  registerCommand({
+    id: 'shortcuts',
+    title: 'Show keyboard shortcuts',
+    keywords: 'keys help',
+    run: openShortcutHelp,
+  });
+
+  registerShortcut(GLOBAL_CONFIG.COMMAND_PALETTE.key, () => {
+    if (scrollEngine.inputPaused) return false;
+    openCommandPalette();
+  }, { description: 'Search chapters, pages and commands', group: 'Other', mod: true });
+
+  console.log(`🔎 Command palette ready: ${commands.length} commands, ${pageEntries.length} page notes`);
+}
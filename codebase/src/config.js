@@ -88,6 +88,11 @@ export const GLOBAL_CONFIG = {
     // Controls how many pages are visible/rendered at once, directly impacts memory/performance
     maxVisiblePages: 8, // Pages rendered simultaneously - key performance control
 
+    // WORKING ✓ - Page count above which page elements are pooled instead of all created up front
+    // Used in: app.js loadPortfolioContent() to choose pagePool.js over createPagesFromPortfolioData()
+    // Pooled notebooks keep about 2 × maxVisiblePages sheets in the DOM and draw the rest as stack edges
+    virtualizeAbovePages: 120, // Pages - larger notebooks are virtualised
+
     // WORKING ✓ - Memory usage limit in MB before triggering optimizations
     // Used in: performance.js:43 as this.memoryLimit for memory monitoring
     // When exceeded, triggers aggressive content culling and quality reduction
@@ -136,6 +141,9 @@ export const GLOBAL_CONFIG = {
 
   // === LOCKED PORTFOLIO SYSTEM ===
   LOCK: {
+    // Show the lock band on the front cover
+    enabled: true, // Switched off by ?kiosk
+
     // 3-digit numeric unlock code
     code: [1, 2, 3],
 
@@ -178,10 +186,31 @@ export const GLOBAL_CONFIG = {
 
   // === PHYSICAL PROPERTIES (real materiality) ===
   PHYSICAL: {
-    pageGSM: 150,      // default paper weight
+    pageGSM: 150,      // default paper weight (also sets page mass for PHYSICS)
     baseLiftPx: 28,    // lift for 80 gsm baseline – increased to avoid shadow collision
   },
 
+  // WORKING ✓ - Used in scrollEngine.js startPhysicsSettle/flickPage and physics.js PagePhysics
+  // Released pages fall under gravity instead of a timed snap. Read every frame –
+  // tune live from the debug panel (Physics tab) or window.notebook.physics.update()
+  PHYSICS: {
+    // Settle wheel, touch, drag and keyboard releases with PagePhysics
+    enabled: true, // false = timed snap to the nearest page
+
+    gravity: 2.0, // × Earth gravity pulling the page off upright
+    stiffness: 3, // mN·m/rad – paper springing towards the nearer flat side
+    damping: 1, // mN·m·s/rad – hinge friction and air drag
+    restitution: 0.2, // share of speed kept when a page bounces off the stack
+
+    // Fast flicks carry over onto the next page
+    carry: 0.6, // share of landing speed passed on (0 = one page per release)
+    carryMinVelocity: 1200, // deg/s – landing speed needed to carry over
+
+    restVelocity: 30, // deg/s – slower landings come to rest
+    maxReleaseVelocity: 4000, // deg/s – cap on measured release speed
+    keyFlickVelocity: 1500, // deg/s – flick from an arrow key / space press
+  },
+
   // Flip Animation - Controls how pages flip and respond to input
   ANIMATION: {
     // WORKING ✓ - Duration of page flip animation in milliseconds
@@ -332,6 +361,25 @@ export const GLOBAL_CONFIG = {
     liftSplit: 0.2,        // First 20% of progress is “lift” phase
   },
 
+  // WORKING ✓ - Used in scrollEngine.js riffleToPosition() and render.js for long jumps
+  // jumpToPage() turns the pages in between as one bundle, then flips the last few individually
+  RIFFLE: {
+    // Riffle long jumps (tabs, bookmarks, deep links, goTo()) instead of flipping every page
+    enabled: true,
+
+    // Jumps shorter than this flip page by page as before
+    minDistance: 8, // pages
+
+    // Pages flipped individually onto the target after the bundle lands
+    tailPages: 3, // pages
+
+    // Bundle duration for the shortest riffle – longer bundles grow sub-linearly
+    duration: 450, // ms, scaled by (bundle pages / shortest bundle)^exponent
+
+    // Growth of the bundle duration with distance (1 = linear, 0 = constant)
+    exponent: 0.35, // 55 pages take ~2.3× as long as 5
+  },
+
   // === AUDIO SETTINGS ===
   SOUND: {
     scrollWheel: {
@@ -361,6 +409,12 @@ export const GLOBAL_CONFIG = {
     rustle: {
       baseGain: 0.25,    // master gain for continuous rustle
     },
+    riffle: {
+      enabled: true,
+      gain: 0.3,         // loudness of the riffling bundle
+      cutoffHz: 1500,    // high-pass – crisp paper edges
+      maxTicks: 60,      // sheet ticks per riffle (long bundles blur into a burr)
+    },
   },
 
   SCENE: {
@@ -452,6 +506,141 @@ export const GLOBAL_CONFIG = {
     resumeScrollDelay: 100, // ms - delay before re-enabling scroll after zoom
   },
 
+  // WORKING ✓ - Used in scrollEngine.js handlePointerDown/Move for drag-to-flip
+  // Grab the top page with mouse or pen and pull it up over the rings (touch keeps swipe)
+  DRAG: {
+    // Enable pointer dragging of pages
+    enabled: true, // Mouse/pen drag-to-flip
+
+    // Lower part of the top page that can be grabbed
+    grabZone: 0.5, // fraction of page height measured from the bottom edge
+
+    // Movement before a press becomes a drag – below this it stays a click (zoom)
+    threshold: 6, // px
+  },
+
+  // WORKING ✓ - Used in infiniteLoop.js (scrollEngine.js, render.js) for carousel/kiosk reading
+  // Flipping past the back cover comes round to the first content page
+  LOOP: {
+    // Infinite loop reading mode
+    enabled: false, // Also switched on by ?loop in the URL
+
+    // Page the loop comes back to – pages before it (the front cover) are only passed once
+    startPage: 1, // First content page
+  },
+
+  // WORKING ✓ - Used in chapterManager.js calculateTabLayout() for the chapter tabs
+  // Tabs share the bottom edge in one row; once they'd get too narrow they stagger into rows like index dividers
+  TABS: {
+    // Narrowest a tab may get before the next row starts
+    minWidth: 72, // px
+
+    // Rows of staggered tabs – chapters beyond these go behind the "more" tab
+    maxRows: 3,
+
+    // How much further each row sticks out below the previous one
+    rowStep: 5, // percentage of page height
+  },
+
+  // WORKING ✓ - Used in bookmarks.js for reader bookmarks (sticky-note flags on the page edge)
+  // Saved in localStorage per notebook, keyed by its portfolio.json source
+  BOOKMARKS: {
+    // Enable bookmarking
+    enabled: true, // Key, button, flags and list
+
+    // Key that toggles a bookmark on the current page
+    key: 'b', // Case-insensitive, ignored with Ctrl/Cmd/Alt and while typing
+
+    // Sticky-note colours, handed out in turn
+    colors: ['#ffd84d', '#ff8fa3', '#7fd3ff', '#9be58c', '#c9a7ff'],
+
+    // Flags sit at different heights so neighbouring bookmarks don't cover each other
+    flagPositions: 5, // Distinct positions along the page edge before they repeat
+  },
+
+  // WORKING ✓ - Used in resume.js to offer returning visitors their last page
+  // Saved in localStorage per notebook; deep links and the cover lock take precedence
+  RESUME: {
+    // Remember the last settled page and offer to continue from it
+    enabled: true, // "Continue from page N / Start over" prompt
+
+    // Saved positions older than this are forgotten
+    ttl: 1209600, // seconds (14 days)
+  },
+
+  // WORKING ✓ - Used in overview.js for the contact-sheet overview
+  // Shows every page as a thumbnail grid grouped by chapter
+  OVERVIEW: {
+    // Allow opening the overview
+    enabled: true,
+
+    // Key that opens and closes the overview (Escape also closes it)
+    key: 'o',
+
+    // Two-finger pinch: finger distance ratio that opens the overview
+    pinchScale: 0.7, // Fingers closed to 70% of their starting distance (spreading by the inverse closes it)
+
+    // Notebook ⇄ grid animation
+    transitionDuration: 450, // ms
+  },
+
+  // WORKING ✓ - Used in presenter.js and presenterView.js for presenter mode
+  // A second window with speaker notes, kept in sync with the notebook over BroadcastChannel
+  PRESENTER: {
+    // Allow opening the presenter window
+    enabled: true,
+
+    // Key that opens the presenter window (?presenter opens the view directly)
+    key: 'p',
+
+    // BroadcastChannel name prefix – the notebook's data source is appended
+    channel: 'ringbound-presenter',
+
+    // window.open() features for the presenter window
+    windowFeatures: 'popup,width=1200,height=760',
+  },
+
+  // WORKING ✓ - Used in autoplay.js for the slideshow / kiosk mode
+  // Flips to the next page through the scroll engine after each page's dwell time
+  AUTOPLAY: {
+    // Start the slideshow on load
+    enabled: false, // Also switched on by ?autoplay or ?kiosk
+
+    // Time each page stays open unless it sets `dwell` in portfolio.json
+    dwell: 8000, // ms - the commentary also finishes typing before the page turns
+
+    // Any wheel, key, pointer or touch input pauses autoplay for this long
+    resumeAfter: 15000, // ms without input before the slideshow continues
+
+    // What to do at the back cover (loop mode keeps going round instead)
+    loop: true, // true = return to the front cover, false = stop
+  },
+
+  // WORKING ✓ - Used in shortcuts.js, the registry every notebook-wide key binding goes through
+  // Bindings of other features keep their own keys (BOOKMARKS.key, PRESENTER.key, OVERVIEW.key)
+  SHORTCUTS: {
+    // Key that shows the overlay listing every binding
+    helpKey: '?',
+
+    // Key that opens the "go to page" prompt
+    gotoKey: 'g',
+
+    // Key that toggles zoom (80% ⇄ 100%)
+    zoomKey: 'z',
+  },
+
+  // WORKING ✓ - Used in commandPalette.js, searched list of commands, chapters and page commentary
+  COMMAND_PALETTE: {
+    // Opens the palette together with Ctrl (Cmd on macOS)
+    key: 'k',
+
+    // Most results shown at once
+    maxResults: 8,
+
+    // Characters of page commentary shown per result before it is cut off
+    snippetLength: 60,
+  },
+
   RINGS: {
     // Ring positioning - individual control for front and back rings
     front: {
@@ -778,6 +967,59 @@ export const GLOBAL_CONFIG = {
     typewriterDelay: 400, // ms - delay before commentary text starts typing
   },
 
+  // WORKING ✓ - Used in portfolioLoader.js createCoverPage as defaults for portfolio.json `covers`
+  // Anything set under `covers.front` / `covers.back` in the JSON overrides these
+  COVERS: {
+    front: {
+      commentary: 'Welcome!', // Typewriter text while the closed notebook is shown
+    },
+    back: {
+      commentary: 'Thank you!', // Typewriter text once the last page is turned
+    },
+
+    // Named board materials a cover can use instead of a custom image
+    materials: {
+      kraft: 'assets/portfolio-pages/folio-cover/cover-default.webp', // Plain brown kraft board
+      cardboard: 'assets/background-assets/images/cardboard.jpg', // Corrugated cardboard texture
+    },
+  },
+
+  // WORKING ✓ - Used in pageTypes.js by the built-in page renderers
+  // Defaults for page types beyond plain image/video
+  PAGE_TYPES: {
+    // How long each gallery image stays up before cycling to the next
+    galleryInterval: 3000, // ms - per-image dwell when a gallery page sets no interval
+
+    // Where the before/after divider starts (0 = all "after", 1 = all "before")
+    comparisonStart: 0.5, // fraction of page width
+
+    // `sizes` for responsive page images built by build.cjs – the notebook caps at 1000px
+    imageSizes: '(max-width: 1000px) 100vw, 1000px',
+  },
+
+  // WORKING ✓ - Used in router.js for deep links and browser history
+  // Reflects the current chapter and page in the URL hash (#/chapter-2/5)
+  ROUTER: {
+    // Read and write the URL hash
+    enabled: true, // Turn off to leave the URL untouched
+
+    // How long a page must stay open before it becomes a history entry
+    historyDelay: 400, // ms - fast flipping doesn't flood back/forward with every page passed
+  },
+
+  // WORKING ✓ - Used in offline.js to register the service worker emitted by build.cjs
+  // Offline support – after one visit the whole notebook is served from cache
+  OFFLINE: {
+    // Register dist/sw.js on page load
+    enabled: true, // Turn off to run without a service worker
+
+    // Path of the generated worker, relative to index.html
+    serviceWorkerUrl: 'sw.js', // Written by build.cjs next to index.html
+
+    // The dev server serves src/ directly, where no sw.js exists
+    skipOnLocalhost: true, // Don't register on localhost / 127.0.0.1
+  },
+
   // WORKING ✓ - Used in overlay.js:24,210,246 for hint overlay system
   // Controls the initial instruction overlay shown to users
   OVERLAY: {
@@ -905,8 +1147,6 @@ export const GLOBAL_CONFIG = {
   EXPERIMENTS: {
     // Enables the new direct force scroll model, bypassing momentum and easing.
     directForce: true,
-    // When enabled, uses the PagePhysics module for settling animations.
-    physicsEnabled: false,
   },
 };
 
@@ -927,7 +1167,10 @@ export const PAGE_ANIMATION = {
     rotationOriginY: GLOBAL_CONFIG.SCENE.transformOriginY,
   },
   loop: {
-    infinite: false, // Infinite loop disabled
+    // WORKING ✓ - Maps to LOOP.enabled (read at call time so ?loop and the debug panel apply)
+    get infinite() {
+      return GLOBAL_CONFIG.LOOP.enabled;
+    },
     // WORKING ✓ - Maps to PERFORMANCE.maxVisiblePages
     buffer: GLOBAL_CONFIG.PERFORMANCE.maxVisiblePages,
   },
@@ -1,4 +1,5 @@
 import { GLOBAL_CONFIG } from './config.js';
+import { registerCommand } from './commandPalette.js';
 
 // --- State Management ---
 const state = {
@@ -55,6 +56,9 @@ function setupEventListeners() {
     }
   });
 
+  // ...or from the command palette
+  registerCommand({ id: 'debug-panel', title: 'Toggle debug panel', keywords: 'tuning settings developer', run: toggle });
+
   // Close button
   state.panel.querySelector('.debug-panel__close').addEventListener('click', hide);
   
@@ -229,7 +233,24 @@ function createMasterContent() {
   `;
 }
 
-function createPhysicsContent() { return 'Physics content goes here.'; }
+function createPhysicsContent() {
+  return `
+    <div class="debug-panel__group">
+      <h4>Page Settling</h4>
+      <p>How released pages fall. Applies from the next frame.</p>
+      ${createSlider('PHYSICS.gravity', 'Gravity (×g)', 0, 5, 0.1)}
+      ${createSlider('PHYSICS.stiffness', 'Stiffness', 0, 20, 0.5)}
+      ${createSlider('PHYSICS.damping', 'Damping', 0, 5, 0.1)}
+      ${createSlider('PHYSICS.restitution', 'Bounce', 0, 0.8, 0.05)}
+    </div>
+    <div class="debug-panel__group">
+      <h4>Flicks</h4>
+      <p>Landing speed carried to the next page, and the arrow-key flick.</p>
+      ${createSlider('PHYSICS.carry', 'Carry', 0, 1, 0.05)}
+      ${createSlider('PHYSICS.keyFlickVelocity', 'Key flick (°/s)', 800, 3000, 50)}
+    </div>
+  `;
+}
 function createAnimationContent() { return 'Animation content goes here.'; }
 function createPerformanceContent() { return 'Performance content goes here.'; }
 
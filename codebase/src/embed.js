@@ -0,0 +1,211 @@
+/**
+ * EMBEDDING - <ringbound-notebook> AND createNotebook()
+ *
+ * Mounts any number of notebooks inside another page:
+ *
+ *   <script type="module" src="/notebook/embed.js"></script>
+ *   <ringbound-notebook src="case-study.json" page="3"></ringbound-notebook>
+ *
+ * ISOLATION:
+ * Each notebook runs app.js in its own same-origin iframe (`index.html?embed`).
+ * That gives every instance its own module graph, so the scroll engine,
+ * CHAPTERS, zoom manager, lock state and audio context are never shared.
+ * Removing the element (or calling destroy()) unloads the frame; the app's
+ * pagehide cleanup runs and everything else goes with the frame.
+ *
+ * The frame is same-origin, so its notebook API (notebookApi.js) is handed out
+ * directly, and its `notebook:*` events are re-dispatched on the host element.
+ */
+
+import { NOTEBOOK_EVENTS } from './notebookApi.js';
+
+// index.html sits next to this module in both src/ and dist/
+const APP_URL = new URL('index.html', import.meta.url);
+
+/**
+ * Build the frame URL for a notebook
+ * @param {Object} options - See createNotebook()
+ * @returns {string}
+ */
+function buildFrameUrl({ src, page, chapter, loop }) {
+  const url = new URL(APP_URL);
+  url.searchParams.set('embed', '');
+  if (loop) url.searchParams.set('loop', '');
+  if (src) {
+    // Resolve against the host page, not against index.html
+    url.searchParams.set('src', new URL(src, document.baseURI).href);
+  }
+  // Start position goes through the router's deep links
+  if (chapter) {
+    url.hash = `#/${encodeURIComponent(chapter)}`;
+  } else if (Number.isInteger(page) && page > 0) {
+    url.hash = `#/page/${page + 1}`;
+  }
+  return url.href;
+}
+
+/**
+ * Mount a notebook into a container
+ * @param {HTMLElement|ShadowRoot} container - Element the notebook frame is appended to
+ * @param {Object} [options]
+ * @param {string} [options.src] - portfolio.json to show (defaults to the notebook's own data/portfolio.json)
+ * @param {number} [options.page] - Page index to open on
+ * @param {string} [options.chapter] - Chapter id to open on (wins over page)
+ * @param {boolean} [options.loop] - Infinite loop reading: past the back cover comes the first content page
+ * @param {string} [options.title] - Accessible name for the frame
+ * @param {EventTarget} [options.eventTarget] - Where `notebook:*` events are re-dispatched (defaults to container)
+ * @returns {{iframe: HTMLIFrameElement, ready: Promise<Object>, api: Object|null, destroy: Function}}
+ */
+export function createNotebook(container, options = {}) {
+  if (!container) throw new Error('createNotebook: container is required');
+
+  const eventTarget = options.eventTarget || container;
+  const iframe = document.createElement('iframe');
+  iframe.className = 'ringbound-notebook__frame';
+  iframe.title = options.title || 'Portfolio notebook';
+  iframe.src = buildFrameUrl(options);
+  iframe.style.cssText = 'display: block; width: 100%; height: 100%; border: 0;';
+
+  let api = null;
+  let frameDocument = null;
+  let destroyed = false;
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  ready.catch(() => {}); // destroy() before ready must not surface as an unhandled rejection
+
+  // Re-dispatch the frame's notebook:* events on the host so pages can listen there
+  const forwarders = NOTEBOOK_EVENTS.map(type => [
+    `notebook:${type}`,
+    event => {
+      eventTarget.dispatchEvent(
+        new CustomEvent(event.type, { detail: event.detail, bubbles: true, composed: true })
+      );
+    },
+  ]);
+
+  const handleReady = () => {
+    api = iframe.contentWindow.notebook.api;
+    resolveReady(api);
+  };
+
+  const handleLoad = () => {
+    if (destroyed) return;
+    frameDocument = iframe.contentDocument;
+    forwarders.forEach(([type, forward]) => frameDocument.addEventListener(type, forward));
+
+    // Bootstrap keeps going after load (portfolio fetch, preloader) – usually not ready yet
+    if (iframe.contentWindow.notebook?.api?.getState().ready) {
+      handleReady();
+    } else {
+      frameDocument.addEventListener('notebook:ready', handleReady, { once: true });
+    }
+  };
+
+  iframe.addEventListener('load', handleLoad);
+  container.appendChild(iframe);
+
+  return {
+    iframe,
+    ready,
+    get api() {
+      return api;
+    },
+
+    /**
+     * Unload the notebook and remove its frame
+     */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      iframe.removeEventListener('load', handleLoad);
+      if (frameDocument) {
+        forwarders.forEach(([type, forward]) => frameDocument.removeEventListener(type, forward));
+        frameDocument.removeEventListener('notebook:ready', handleReady);
+      }
+      iframe.remove();
+      api = null;
+      frameDocument = null;
+      rejectReady(new Error('Notebook destroyed before it was ready'));
+    },
+  };
+}
+
+/**
+ * <ringbound-notebook src="…" page="…" chapter="…" label="…" loop>
+ * Size it like any block element; it defaults to the full width at 4:3.
+ */
+export class RingboundNotebook extends HTMLElement {
+  static get observedAttributes() {
+    return ['src', 'page', 'chapter', 'loop'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' }).innerHTML = `
+      <style>
+        :host { display: block; width: 100%; aspect-ratio: 4 / 3; }
+        :host([hidden]) { display: none; }
+      </style>
+    `;
+    this.instance = null;
+  }
+
+  /** @returns {Object|null} Notebook API once ready */
+  get api() {
+    return this.instance?.api ?? null;
+  }
+
+  /** @returns {Promise<Object>|null} Resolves with the notebook API */
+  get ready() {
+    return this.instance?.ready ?? null;
+  }
+
+  connectedCallback() {
+    this.mount();
+  }
+
+  disconnectedCallback() {
+    this.unmount();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.instance || oldValue === newValue) return;
+
+    if (name === 'src' || name === 'loop') {
+      this.unmount();
+      this.mount();
+      return;
+    }
+
+    this.instance.ready.then(api => {
+      if (name === 'page' && newValue !== null) api.goTo(Number(newValue));
+      if (name === 'chapter' && newValue) api.goToChapter(newValue);
+    });
+  }
+
+  mount() {
+    if (this.instance) return;
+    const page = this.getAttribute('page');
+    this.instance = createNotebook(this.shadowRoot, {
+      src: this.getAttribute('src'),
+      page: page === null ? undefined : Number(page),
+      chapter: this.getAttribute('chapter'),
+      title: this.getAttribute('label'),
+      loop: this.hasAttribute('loop'),
+      eventTarget: this,
+    });
+  }
+
+  unmount() {
+    this.instance?.destroy();
+    this.instance = null;
+  }
+}
+
+if (!customElements.get('ringbound-notebook')) {
+  customElements.define('ringbound-notebook', RingboundNotebook);
+}
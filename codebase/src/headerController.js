@@ -1,5 +1,6 @@
 // headerController.js - minimizes header on zoom or scroll
 import { GLOBAL_CONFIG } from './config.js';
+import { CHAPTERS } from './chapters.js';
 
 export function initializeHeaderController(scrollEngine, zoomManager) {
   const header = document.querySelector('.heading-wrapper');
@@ -12,4 +13,17 @@ export function initializeHeaderController(scrollEngine, zoomManager) {
     requestAnimationFrame(update);
   }
   update();
+
+  // Name the chapter being read under the heading, underlined in its colour
+  const chapterLabel = document.createElement('div');
+  chapterLabel.className = 'heading-chapter';
+  (header.querySelector('.heading-group') || header).appendChild(chapterLabel);
+  document.addEventListener('chapter:change', event => {
+    const { chapter } = event.detail;
+    if (chapter) {
+      chapterLabel.textContent = chapter.title;
+      header.style.setProperty('--chapter-color', CHAPTERS[chapter.index].color);
+    }
+    header.classList.toggle('header--in-chapter', Boolean(chapter));
+  });
 } 
\ No newline at end of file
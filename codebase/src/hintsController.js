@@ -24,6 +24,7 @@ export function initializeHintsController(scrollEngine) {
     setTimeout(() => {
       if (scrollEngine && scrollEngine.resumeInput) scrollEngine.resumeInput();
       overlay.remove();
+      document.dispatchEvent(new CustomEvent('hints:dismissed'));
     }, 400);
   });
 } 
\ No newline at end of file
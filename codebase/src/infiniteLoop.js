@@ -1,177 +1,151 @@
 /**
  * INFINITE LOOP SYSTEM
  *
- * This module handles the complex logic for creating seamless infinite page loops.
- * It manages virtual page positioning, scroll wrapping, and ensures smooth transitions
- * when cycling through the notebook pages.
+ * Carousel/kiosk reading: flipping past the back cover comes round to the first
+ * content page (LOOP.startPage) again. The front cover is only passed once.
  *
  * KEY CONCEPTS:
- * - Virtual Positioning: Pages can appear at multiple virtual positions simultaneously
- * - Modular Arithmetic: Uses remainder operations to cycle through pages infinitely
- * - Buffer System: Preloads pages in both directions for smooth transitions
- * - Seamless Wrapping: Ensures no visual gaps when looping from end to beginning
+ * - Virtual Scroll: In loop mode the scroll position keeps growing past the
+ *   back cover. Virtual index v shows actual page startPage + (v - startPage) mod L,
+ *   where L = totalPages - startPage is the loop length.
+ * - Stack Slots: Each page element still exists once. It is drawn in a slot of
+ *   the ordinary notebook (0 … totalPages), so computeTransform() and the
+ *   depth model in pageTransforms.js are used unchanged.
+ * - Balance Point: Until the scroll reaches the balance point (about half the loop
+ *   read) slots equal page indices. Beyond it the slot window slides with the
+ *   scroll, so both stacks keep a constant number of sheets.
+ * - Recycling: As the window slides, the bottom sheet of the read stack drops
+ *   out of the window and re-enters as the bottom sheet of the unread stack.
+ *   Both positions are hidden under their stacks, and every other sheet moves
+ *   continuously, so nothing jumps.
  */
 
-import { PAGE_ANIMATION } from './config.js';
+import { GLOBAL_CONFIG } from './config.js';
 
 /**
- * Calculate the virtual page index for infinite looping
- * This allows pages to appear multiple times in the virtual stack
- *
- * @param {number} virtualIndex - Virtual position in the infinite stack
+ * First page of the loop (the front cover is skipped on later rounds)
  * @param {number} totalPages - Total number of actual pages
- * @returns {number} Actual page index (0 to totalPages-1)
+ * @returns {number} Page index
  */
-export function getActualPageIndex(virtualIndex, totalPages) {
-  // Use modulo to wrap the index within the page count
-  // Handle negative indices properly
-  return ((virtualIndex % totalPages) + totalPages) % totalPages;
+function getLoopStart(totalPages) {
+  return clampIndex(GLOBAL_CONFIG.LOOP.startPage, totalPages);
+}
+
+function clampIndex(index, totalPages) {
+  return Math.max(0, Math.min(index, totalPages - 1));
 }
 
 /**
- * Calculate all virtual positions where a specific page should appear
- * This is used to render the same page at multiple positions for seamless looping
+ * Check if infinite looping is enabled and the page count supports it
  *
- * @param {number} actualPageIndex - The actual page index (0 to totalPages-1)
  * @param {number} totalPages - Total number of actual pages
- * @param {number} scrollPosition - Current scroll position
- * @param {number} visibleRange - Range of visible positions to check
- * @returns {Array<number>} Array of virtual positions where this page should appear
+ * @returns {boolean} Whether infinite looping should be active
  */
-export function getVirtualPositionsForPage(
-  actualPageIndex,
-  totalPages,
-  scrollPosition,
-  visibleRange
-) {
-  const positions = [];
-  const minPos = Math.floor(scrollPosition) - PAGE_ANIMATION.loop.buffer;
-  const maxPos = Math.floor(scrollPosition) + visibleRange + PAGE_ANIMATION.loop.buffer;
-
-  // Check all positions in the visible range plus buffer
-  for (let virtualPos = minPos; virtualPos <= maxPos; virtualPos++) {
-    if (getActualPageIndex(virtualPos, totalPages) === actualPageIndex) {
-      positions.push(virtualPos);
-    }
-  }
+export function shouldUseInfiniteLoop(totalPages) {
+  // A loop needs at least two sheets to alternate between
+  return Boolean(GLOBAL_CONFIG.LOOP?.enabled) && totalPages - getLoopStart(totalPages) >= 2;
+}
 
-  return positions;
+/**
+ * Scroll position from which the slot window slides with the scroll
+ * @param {number} totalPages - Total number of actual pages
+ * @returns {number} Balance point
+ */
+function getBalancePoint(totalPages) {
+  const start = getLoopStart(totalPages);
+  return start + Math.floor((totalPages - start) / 2);
 }
 
 /**
- * Get the optimal virtual position for a page given the current scroll state
- * This chooses the virtual position that's closest to being visible
+ * Calculate the actual page shown at a virtual index
  *
- * @param {number} actualPageIndex - The actual page index
+ * @param {number} virtualIndex - Virtual position in the infinite stack
  * @param {number} totalPages - Total number of actual pages
- * @param {number} scrollPosition - Current scroll position
- * @param {number} visibleRange - Range of visible positions
- * @returns {number} The best virtual position to use for this page
+ * @returns {number} Actual page index (0 to totalPages-1)
  */
-export function getOptimalVirtualPosition(
-  actualPageIndex,
-  totalPages,
-  scrollPosition,
-  visibleRange
-) {
-  const positions = getVirtualPositionsForPage(
-    actualPageIndex,
-    totalPages,
-    scrollPosition,
-    visibleRange
-  );
-
-  if (positions.length === 0) {
-    return actualPageIndex; // Fallback to actual index
+export function getActualPageIndex(virtualIndex, totalPages) {
+  const start = getLoopStart(totalPages);
+  if (!shouldUseInfiniteLoop(totalPages) || virtualIndex < start) {
+    return clampIndex(virtualIndex, totalPages);
   }
 
-  if (positions.length === 1) {
-    return positions[0];
-  }
+  // Use modulo to wrap the index within the loop, handling negative offsets
+  const length = totalPages - start;
+  return start + ((((virtualIndex - start) % length) + length) % length);
+}
 
-  // Find the position closest to the current scroll that's within visible range
-  const targetRange = [scrollPosition - 1, scrollPosition + visibleRange + 1];
-
-  let bestPosition = positions[0];
-  let bestDistance = Infinity;
-
-  for (const pos of positions) {
-    // Calculate distance to the target range
-    let distance;
-    if (pos >= targetRange[0] && pos <= targetRange[1]) {
-      distance = 0; // Already in range
-    } else {
-      distance = Math.min(Math.abs(pos - targetRange[0]), Math.abs(pos - targetRange[1]));
-    }
-
-    if (distance < bestDistance) {
-      bestDistance = distance;
-      bestPosition = pos;
-    }
-  }
+/**
+ * Find the virtual index of a page closest to a reference position.
+ * Ties go forward, so "next page" from the back cover comes round to the loop start.
+ *
+ * @param {number} pageIndex - Actual page index (0 to totalPages-1)
+ * @param {number} nearPosition - Virtual position to stay close to
+ * @param {number} totalPages - Total number of actual pages
+ * @returns {number} Virtual index
+ */
+export function getNearestVirtualIndex(pageIndex, nearPosition, totalPages) {
+  const start = getLoopStart(totalPages);
+  if (!shouldUseInfiniteLoop(totalPages) || pageIndex < start) return pageIndex;
 
-  return bestPosition;
+  const length = totalPages - start;
+  const cycles = Math.round((nearPosition - pageIndex) / length);
+  return Math.max(pageIndex, pageIndex + cycles * length);
 }
 
 /**
- * Check if infinite looping is enabled and the page count supports it
+ * How far the slot window has slid along the virtual scroll
  *
+ * @param {number} scroll - Virtual scroll position
  * @param {number} totalPages - Total number of actual pages
- * @returns {boolean} Whether infinite looping should be active
+ * @returns {number} Offset to subtract from virtual positions (0 outside loop mode)
  */
-export function shouldUseInfiniteLoop(totalPages) {
-  return PAGE_ANIMATION.loop.infinite && totalPages > PAGE_ANIMATION.stack.visibleDepth;
+export function getLoopOffset(scroll, totalPages) {
+  if (!shouldUseInfiniteLoop(totalPages)) return 0;
+  return Math.max(0, scroll - getBalancePoint(totalPages));
 }
 
 /**
- * Normalize scroll position for infinite looping
- * This handles the wrapping logic when scrolling beyond page boundaries
+ * Calculate the stack slot a page is drawn in.
+ * The result can be fractional while the window slides; the depth model
+ * interpolates between neighbouring slots.
  *
- * @param {number} scroll - Raw scroll position
+ * @param {number} pageIndex - Actual page index (0 to totalPages-1)
+ * @param {number} offset - Window offset from getLoopOffset()
  * @param {number} totalPages - Total number of actual pages
- * @returns {number} Normalized scroll position
+ * @returns {number} Slot in 0 … totalPages (slot − stack scroll = virtual index − scroll). Between
+ *   totalPages-1 and totalPages a recycled sheet is sliding in under the back of the unread stack.
  */
-export function normalizeScrollPosition(scroll, totalPages) {
-  if (!shouldUseInfiniteLoop(totalPages)) {
-    // Standard clamping for non-infinite mode
-    return Math.max(0, Math.min(scroll, totalPages - 1));
-  }
-
-  // For infinite loop, we don't clamp but we do normalize for performance
-  // Keep scroll within a reasonable range to prevent floating point issues
-  const maxRange = totalPages * 100; // Allow 100 cycles before normalizing
-
-  if (Math.abs(scroll) > maxRange) {
-    // Normalize to equivalent position within reasonable range
-    return ((scroll % totalPages) + totalPages) % totalPages;
-  }
-
-  return scroll;
+export function getStackSlot(pageIndex, offset, totalPages) {
+  const start = getLoopStart(totalPages);
+  if (offset === 0 || pageIndex < start) return pageIndex;
+
+  // Lowest virtual index of this page still inside the window [start + offset, start + offset + L)
+  const length = totalPages - start;
+  const cycles = Math.ceil((start + offset - pageIndex) / length);
+  return pageIndex + cycles * length - offset;
 }
 
 /**
- * Calculate relative position for infinite looping
- * This is the core function that determines where each page should appear
+ * Normalize scroll position for infinite looping
+ * Outside loop mode this is the standard clamp. In loop mode whole rounds
+ * beyond the balance point are removed – the stacks look identical one loop
+ * length apart, so this is invisible. Only call it while the notebook rests.
  *
- * @param {number} actualPageIndex - The actual page index (0 to totalPages-1)
+ * @param {number} scroll - Raw scroll position
  * @param {number} totalPages - Total number of actual pages
- * @param {number} scrollPosition - Current scroll position
- * @returns {number} Relative position (similar to standard rel calculation)
+ * @returns {number} Normalized scroll position
  */
-export function calculateInfiniteRelativePosition(actualPageIndex, totalPages, scrollPosition) {
+export function normalizeScrollPosition(scroll, totalPages) {
   if (!shouldUseInfiniteLoop(totalPages)) {
-    // Standard calculation for non-infinite mode
-    return actualPageIndex - scrollPosition;
+    // Standard clamping for non-infinite mode
+    return Math.max(0, Math.min(scroll, totalPages - 1));
   }
 
-  const optimalVirtualPos = getOptimalVirtualPosition(
-    actualPageIndex,
-    totalPages,
-    scrollPosition,
-    PAGE_ANIMATION.stack.visibleDepth
-  );
+  const balance = getBalancePoint(totalPages);
+  if (scroll < balance) return Math.max(0, scroll);
 
-  return optimalVirtualPos - scrollPosition;
+  const length = totalPages - getLoopStart(totalPages);
+  return scroll - Math.floor((scroll - balance) / length) * length;
 }
 
 /**
@@ -186,19 +160,20 @@ export function getInfiniteLoopDebugInfo(scrollPosition, totalPages) {
     return {
       enabled: false,
       cycle: 0,
-      cyclePosition: scrollPosition,
-      totalCycles: 0,
+      offset: 0,
     };
   }
 
-  const cycle = Math.floor(scrollPosition / totalPages);
-  const cyclePosition = scrollPosition % totalPages;
+  const start = getLoopStart(totalPages);
+  const length = totalPages - start;
 
   return {
     enabled: true,
-    cycle,
-    cyclePosition: cyclePosition < 0 ? cyclePosition + totalPages : cyclePosition,
-    totalCycles: Math.abs(cycle),
-    actualScrollRange: [cycle * totalPages, (cycle + 1) * totalPages - 1],
+    loopStart: start,
+    loopLength: length,
+    balancePoint: getBalancePoint(totalPages),
+    cycle: Math.max(0, Math.floor((scrollPosition - start) / length)),
+    offset: getLoopOffset(scrollPosition, totalPages),
+    page: getActualPageIndex(Math.round(scrollPosition), totalPages),
   };
 }
@@ -44,8 +44,8 @@ class LockedPortfolio {
     // Global exposure for debugging helpers
     window.LockedPortfolio = this;
 
-    // Early exit if persistence enabled and cookie says already unlocked
-    if (this.persistence && this.hasCookie()) {
+    // Early exit if the lock is switched off (kiosk) or the cookie says already unlocked
+    if (GLOBAL_CONFIG.LOCK.enabled === false || (this.persistence && this.hasCookie())) {
       this.setState(STATES.UNLOCKED);
       this.hideBandImmediate();
       audio.setLockedState(false);
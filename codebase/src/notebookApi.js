@@ -0,0 +1,259 @@
+/**
+ * NOTEBOOK API - PUBLIC CONTROL SURFACE AND EVENT BUS
+ *
+ * One documented object for pages that embed the notebook, exposed as
+ * `window.notebook.api` once bootstrap has created it.
+ *
+ * METHODS:
+ * - goTo(page, options)   Jump to a page index (options.instant skips the flip animation)
+ * - goToChapter(id)       Jump to the first page of a chapter
+ * - next() / prev()       Flip one page forward / back (round the loop in loop mode)
+ * - zoom(state)           true = focused, false = overview, omitted = toggle
+ * - getState()            Snapshot of page, chapter, lock and zoom state
+ * - on / once / off       Subscribe to the events below
+ *
+ * EVENTS (each is also dispatched on document as `notebook:<type>`, so pages
+ * can listen before the API exists):
+ * - pagechange   { page, previousPage, chapter }  A flip has settled on a new page
+ * - chapterchange { chapter, previousChapter }    The settled page is in another chapter
+ * - flipstart    { page, direction }              The notebook left a resting page (+1 forward, -1 back)
+ * - flipend      { page }                         The notebook came to rest on a page
+ * - unlock       {}                               The cover lock has been opened
+ * - zoomchange   { zoomed }                       Zoom switched between overview and focused
+ * - bookmarkchange { page, bookmarked, bookmarks } A bookmark was added or removed
+ * - ready        NotebookState                    Bootstrap finished (late `ready` listeners are still called)
+ *
+ * Chapters are reported as { id, title, index } or null for the covers.
+ */
+
+import { CHAPTERS, describeChapter } from './chapters.js';
+
+export const NOTEBOOK_EVENTS = [
+  'pagechange',
+  'chapterchange',
+  'flipstart',
+  'flipend',
+  'unlock',
+  'zoomchange',
+  'bookmarkchange',
+  'ready',
+];
+
+/**
+ * @typedef {Object} NotebookState
+ * @property {number} page - Page index the notebook rests on (or is flipping from)
+ * @property {number} scroll - Fractional scroll position (keeps growing past the back cover in loop mode)
+ * @property {number} totalPages - Number of pages including covers
+ * @property {boolean} loop - Infinite loop reading mode is active
+ * @property {{id: string, title: string, index: number}|null} chapter - Chapter of the current page
+ * @property {boolean} flipping - A flip is in progress
+ * @property {boolean} locked - The cover lock is still closed
+ * @property {boolean} zoomed - Focused (100%) rather than overview zoom
+ * @property {boolean} ready - Bootstrap has finished
+ */
+
+/**
+ * Create the API for a notebook
+ * @param {Object} systems
+ * @param {VirtualScrollEngine} systems.scrollEngine - Scroll engine driving the notebook
+ * @param {ZoomManager} systems.zoomManager - Zoom manager for the notebook
+ * @returns {Object} Notebook API
+ */
+export function createNotebookApi({ scrollEngine, zoomManager }) {
+  const listeners = new Map(NOTEBOOK_EVENTS.map(type => [type, new Set()]));
+  let restingPage = scrollEngine.getScrollState().currentPage;
+  let restingScroll = scrollEngine.scrollPosition; // Virtual – keeps growing in loop mode
+  let flipping = false;
+  let ready = false;
+
+  function assertEventType(type) {
+    if (!listeners.has(type)) {
+      throw new TypeError(`Unknown notebook event "${type}". Expected one of: ${NOTEBOOK_EVENTS.join(', ')}`);
+    }
+  }
+
+  function emit(type, detail = {}) {
+    listeners.get(type).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`❌ Notebook "${type}" listener failed:`, error);
+      }
+    });
+    document.dispatchEvent(new CustomEvent(`notebook:${type}`, { detail }));
+  }
+
+  // Derive flip and page events from the scroll engine
+  scrollEngine.addObserver(state => {
+    if (state.isMoving) {
+      if (!flipping) {
+        flipping = true;
+        // A riffle holds the scroll position while its bundle turns – it heads for riffle.to
+        const heading = state.riffle ? state.riffle.to : state.scroll;
+        emit('flipstart', { page: restingPage, direction: heading > restingScroll ? 1 : -1 });
+      }
+      return;
+    }
+
+    const page = state.currentPage;
+    restingScroll = state.scroll;
+    if (flipping) {
+      flipping = false;
+      emit('flipend', { page });
+    }
+    if (page === restingPage) return;
+
+    const previousPage = restingPage;
+    const chapter = describeChapter(page);
+    const previousChapter = describeChapter(previousPage);
+    restingPage = page;
+
+    // Computed here rather than bridged from 'chapter:change' so the API keeps
+    // reporting chapters even if the chapter system failed to initialise
+    emit('pagechange', { page, previousPage, chapter });
+    if (chapter?.id !== previousChapter?.id) {
+      emit('chapterchange', { chapter, previousChapter });
+    }
+  });
+
+  // Bridge the existing DOM events
+  document.addEventListener('lock:state', event => {
+    if (!event.detail.locked) emit('unlock');
+  });
+  document.addEventListener('zoom:state', event => {
+    emit('zoomchange', { zoomed: event.detail.zoomed });
+  });
+  document.addEventListener('bookmark:state', event => {
+    const { page, bookmarked, bookmarks } = event.detail;
+    emit('bookmarkchange', { page, bookmarked, bookmarks });
+  });
+
+  const api = {
+    /**
+     * Jump to a page
+     * @param {number} page - Page index (0 = front cover)
+     * @param {Object} [options] - { instant: true } skips the flip animation
+     * @returns {boolean} False if the notebook is locked
+     */
+    goTo(page, options) {
+      if (window.isPortfolioLocked) return false;
+      if (!Number.isFinite(page)) throw new TypeError(`goTo expects a page index, got ${page}`);
+      scrollEngine.jumpToPage(Math.round(page), options);
+      return true;
+    },
+
+    /**
+     * Jump to the first page of a chapter
+     * @param {string} id - Chapter id from portfolio.json
+     * @param {Object} [options] - Passed to goTo
+     * @returns {boolean} False if the notebook is locked or the chapter is unknown
+     */
+    goToChapter(id, options) {
+      const chapter = CHAPTERS.find(c => c.id === id);
+      if (!chapter) {
+        console.warn(`⚠️ Unknown chapter "${id}"`);
+        return false;
+      }
+      return api.goTo(chapter.page, options);
+    },
+
+    /**
+     * Flip one page forward
+     * @returns {boolean} False if the notebook is locked
+     */
+    next() {
+      if (window.isPortfolioLocked) return false;
+      scrollEngine.flipBy(1);
+      return true;
+    },
+
+    /**
+     * Flip one page back
+     * @returns {boolean} False if the notebook is locked
+     */
+    prev() {
+      if (window.isPortfolioLocked) return false;
+      scrollEngine.flipBy(-1);
+      return true;
+    },
+
+    /**
+     * Set or toggle zoom
+     * @param {boolean} [state] - true = focused, false = overview, omitted = toggle
+     * @returns {boolean} Requested zoom state
+     */
+    zoom(state = !zoomManager.isZoomedIn()) {
+      if (state) zoomManager.zoomIn();
+      else zoomManager.zoomOut();
+      return Boolean(state);
+    },
+
+    /**
+     * @returns {NotebookState}
+     */
+    getState() {
+      const { scroll, totalPages, currentPage, loop } = scrollEngine.getScrollState();
+      const page = flipping ? restingPage : currentPage;
+      return {
+        page,
+        scroll,
+        totalPages,
+        loop,
+        chapter: describeChapter(page),
+        flipping,
+        locked: Boolean(window.isPortfolioLocked),
+        zoomed: zoomManager.isZoomedIn(),
+        ready,
+      };
+    },
+
+    /**
+     * Subscribe to a notebook event
+     * @param {string} type - One of NOTEBOOK_EVENTS
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+      assertEventType(type);
+      listeners.get(type).add(handler);
+      // Listeners that arrive after bootstrap still hear about it
+      if (type === 'ready' && ready) queueMicrotask(() => handler(api.getState()));
+      return () => api.off(type, handler);
+    },
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - One of NOTEBOOK_EVENTS
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, handler) {
+      const off = api.on(type, detail => {
+        off();
+        handler(detail);
+      });
+      return off;
+    },
+
+    /**
+     * Remove a listener added with on()
+     * @param {string} type - One of NOTEBOOK_EVENTS
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+      assertEventType(type);
+      listeners.get(type).delete(handler);
+    },
+
+    /**
+     * Mark the notebook ready and emit 'ready' (called once by bootstrap)
+     */
+    markReady() {
+      if (ready) return;
+      ready = true;
+      emit('ready', api.getState());
+    },
+  };
+
+  return api;
+}
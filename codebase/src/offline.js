@@ -0,0 +1,38 @@
+/**
+ * OFFLINE SUPPORT
+ *
+ * Registers the service worker that build.cjs generates from sw.template.js.
+ * The worker precaches the app shell and caches page assets as they are first
+ * loaded, so the notebook keeps working offline after a single visit.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Register the offline service worker once the page has finished loading
+ * (so precaching never competes with the preloader for bandwidth)
+ */
+export function registerServiceWorker() {
+  const config = GLOBAL_CONFIG.OFFLINE;
+  if (!config?.enabled || !('serviceWorker' in navigator)) return;
+  if (config.skipOnLocalhost && LOCAL_HOSTS.includes(window.location.hostname)) return;
+
+  const register = () => {
+    navigator.serviceWorker
+      .register(config.serviceWorkerUrl)
+      .then(registration => {
+        console.log('📴 Offline support ready, scope:', registration.scope);
+      })
+      .catch(error => {
+        console.warn('⚠️ Service worker registration failed:', error);
+      });
+  };
+
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * OVERVIEW - CONTACT SHEET OF ALL PAGES
+ *
+ * OVERVIEW.key or a two-finger pinch (fingers closing) shrinks the notebook
+ * away and fades in a grid of page thumbnails, grouped by chapter in the
+ * chapter colours from CHAPTERS. Choosing a thumbnail lands the notebook on
+ * that page and zooms back into it; Escape, the key or spreading two fingers
+ * returns to the page the reader left.
+ *
+ * Thumbnails reuse the images preloader.js has already loaded (see
+ * getLoadedPageImage()) – pages that haven't loaded yet show their placeholder
+ * colour instead of fetching.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { CHAPTERS } from './chapters.js';
+import { getLoadedPageImage } from './preloader.js';
+import { registerShortcut } from './shortcuts.js';
+
+// Global state for the overview
+let pageElements = [];
+let scrollEngineInstance = null;
+let overlay = null;
+let isOpen = false;
+let pausedInput = false; // Whether the overview paused the scroll engine
+let closeTimeout = null;
+let pinchDistance = null;
+
+/**
+ * Distance between the first two touches
+ * @param {TouchList} touches - Active touches
+ * @returns {number} Pixels
+ */
+function getTouchDistance(touches) {
+  return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+/**
+ * Pages grouped the way the grid shows them: covers on their own, content by chapter
+ * @returns {Object[]} { title, color, pages } groups
+ */
+function getPageGroups() {
+  const last = pageElements.length - 1;
+  const groups = [{ title: 'Front cover', color: null, pages: [0] }];
+
+  CHAPTERS.forEach(chapter => {
+    const pages = [];
+    for (let page = chapter.page; page < chapter.page + chapter.pageCount && page < last; page++) pages.push(page);
+    groups.push({ title: chapter.title, color: chapter.color, pages });
+  });
+
+  groups.push({ title: 'Back cover', color: null, pages: [last] });
+  return groups;
+}
+
+/**
+ * Thumbnail artwork for a page, taken from what the notebook has already loaded
+ * @param {HTMLElement} thumb - Thumbnail element to fill
+ * @param {HTMLElement} [pageElement] - Page element (missing for unbound pages of a pooled notebook)
+ */
+function fillThumbnail(thumb, pageElement) {
+  if (!pageElement) return;
+
+  if (pageElement.classList.contains('cover')) {
+    // Cover boards are CSS backgrounds the notebook has already painted
+    thumb.style.backgroundImage = getComputedStyle(pageElement.querySelector('.page-front')).backgroundImage;
+    thumb.classList.add('overview__thumb--cover');
+    return;
+  }
+
+  const image = getLoadedPageImage(pageElement);
+  if (image?.src) {
+    const img = document.createElement('img');
+    img.src = image.src;
+    img.alt = '';
+    img.decoding = 'async';
+    thumb.appendChild(img);
+  } else if (image) {
+    if (image.color) thumb.style.backgroundColor = image.color;
+    if (image.placeholder) thumb.style.backgroundImage = image.placeholder;
+  } else {
+    // Text and link pages: a few lines of their content
+    const text = pageElement.querySelector('.page-front [data-page-type]')?.textContent.trim();
+    if (text) {
+      thumb.classList.add('overview__thumb--text');
+      thumb.textContent = text.slice(0, 140);
+    }
+  }
+}
+
+/**
+ * Build the grid for the current state of the notebook
+ * @param {number} currentPage - Page the notebook rests on
+ * @returns {HTMLElement} Overlay element
+ */
+function createOverlay(currentPage) {
+  const root = document.createElement('div');
+  root.className = 'overview';
+  root.setAttribute('role', 'dialog');
+  root.setAttribute('aria-label', 'All pages');
+  root.style.setProperty('--overview-duration', `${GLOBAL_CONFIG.OVERVIEW.transitionDuration}ms`);
+
+  let tileIndex = 0;
+  getPageGroups().forEach(group => {
+    const section = document.createElement('section');
+    section.className = 'overview__group';
+    if (group.color) section.style.setProperty('--chapter-color', group.color);
+
+    const heading = document.createElement('h2');
+    heading.className = 'overview__title';
+    heading.textContent = group.title;
+
+    const grid = document.createElement('ol');
+    grid.className = 'overview__grid';
+    group.pages.forEach((page, indexInGroup) => {
+      const item = document.createElement('li');
+      const tile = document.createElement('button');
+      tile.type = 'button';
+      tile.className = 'overview__tile';
+      tile.dataset.page = page;
+      tile.style.setProperty('--tile-index', Math.min(tileIndex++, 40)); // Staggered entrance
+      tile.setAttribute('aria-label', group.pages.length > 1 ? `${group.title}, page ${indexInGroup + 1}` : group.title);
+      if (page === currentPage) tile.setAttribute('aria-current', 'page');
+
+      const thumb = document.createElement('span');
+      thumb.className = 'overview__thumb';
+      fillThumbnail(thumb, pageElements[page]);
+
+      tile.appendChild(thumb);
+      item.appendChild(tile);
+      grid.appendChild(item);
+    });
+
+    section.append(heading, grid);
+    root.appendChild(section);
+  });
+
+  root.addEventListener('click', event => {
+    const tile = event.target.closest('.overview__tile');
+    if (tile) closeOverview(Number(tile.dataset.page));
+  });
+  // The grid scrolls itself instead of flipping pages
+  root.addEventListener('wheel', event => event.stopPropagation(), { passive: true });
+  return root;
+}
+
+/**
+ * Show the overview grid
+ */
+export function openOverview() {
+  if (isOpen || !scrollEngineInstance || window.isPortfolioLocked) return;
+  isOpen = true;
+
+  // Replace a grid that is still fading out
+  clearTimeout(closeTimeout);
+  overlay?.remove();
+
+  const { currentPage } = scrollEngineInstance.getScrollState();
+  overlay = createOverlay(currentPage);
+  document.body.appendChild(overlay);
+
+  if (!scrollEngineInstance.inputPaused) {
+    scrollEngineInstance.pauseInput();
+    pausedInput = true;
+  }
+
+  document.body.classList.remove('overview-closing');
+  document.body.classList.add('overview-open');
+  requestAnimationFrame(() => overlay?.classList.add('overview--visible'));
+  overlay.querySelector('[aria-current]')?.focus({ preventScroll: true });
+  overlay.querySelector('[aria-current]')?.scrollIntoView?.({ block: 'center' });
+
+  document.dispatchEvent(new CustomEvent('overview:state', { detail: { open: true } }));
+  console.log('🗂️ Overview opened');
+}
+
+/**
+ * Zoom back into the notebook
+ * @param {number} [page] - Page to land on (defaults to the page the reader left)
+ */
+export function closeOverview(page) {
+  if (!isOpen) return;
+  isOpen = false;
+
+  // Land on the chosen page before the notebook scales back in
+  if (Number.isInteger(page)) scrollEngineInstance.jumpToPage(page, { instant: true });
+  if (pausedInput) {
+    scrollEngineInstance.resumeInput();
+    pausedInput = false;
+  }
+
+  const closing = overlay;
+  closing.classList.remove('overview--visible');
+  document.body.classList.replace('overview-open', 'overview-closing');
+  closeTimeout = setTimeout(() => {
+    closing.remove();
+    if (overlay === closing) overlay = null;
+    document.body.classList.remove('overview-closing');
+  }, GLOBAL_CONFIG.OVERVIEW.transitionDuration);
+
+  document.dispatchEvent(new CustomEvent('overview:state', { detail: { open: false, page } }));
+  console.log(`🗂️ Overview closed${Number.isInteger(page) ? ` on page ${page}` : ''}`);
+}
+
+/**
+ * Whether the overview grid is showing
+ * @returns {boolean}
+ */
+export function isOverviewOpen() {
+  return isOpen;
+}
+
+/**
+ * Move keyboard focus through the grid
+ * @param {string} key - Arrow key
+ */
+function moveFocus(key) {
+  const tiles = [...overlay.querySelectorAll('.overview__tile')];
+  const index = Math.max(0, tiles.indexOf(document.activeElement));
+
+  let step = key === 'ArrowLeft' ? -1 : 1;
+  if (key === 'ArrowUp' || key === 'ArrowDown') {
+    // One row: the tiles of this group level with the focused one
+    const top = tiles[index].getBoundingClientRect().top;
+    const row = [...tiles[index].closest('.overview__grid').querySelectorAll('.overview__tile')]
+      .filter(tile => tile.getBoundingClientRect().top === top).length;
+    step = (key === 'ArrowUp' ? -1 : 1) * Math.max(1, row);
+  }
+
+  const target = tiles[Math.min(tiles.length - 1, Math.max(0, index + step))];
+  target.focus();
+  target.scrollIntoView?.({ block: 'nearest' });
+}
+
+/**
+ * Handle Escape and grid navigation while the overview is open. Runs in the
+ * capture phase so arrow keys and Space don't flip the hidden notebook.
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleGlobalKeydown(event) {
+  if (!isOpen) return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeOverview();
+    return;
+  }
+  if (event.key?.startsWith('Arrow')) {
+    event.preventDefault();
+    event.stopPropagation();
+    moveFocus(event.key);
+    return;
+  }
+  if (event.key === ' ') {
+    event.stopPropagation(); // Space still activates the focused tile
+  }
+}
+
+/**
+ * Track two-finger pinches: closing the fingers opens the overview, spreading them closes it
+ * @param {TouchEvent} event - Touch event
+ */
+function handlePinch(event) {
+  if (event.touches.length !== 2) {
+    pinchDistance = null;
+    return;
+  }
+  if (event.type === 'touchstart' || pinchDistance === null) {
+    pinchDistance = getTouchDistance(event.touches);
+    return;
+  }
+
+  const ratio = getTouchDistance(event.touches) / pinchDistance;
+  const { pinchScale } = GLOBAL_CONFIG.OVERVIEW;
+  if (!isOpen && ratio < pinchScale) {
+    pinchDistance = null;
+    openOverview();
+  } else if (isOpen && ratio > 1 / pinchScale) {
+    pinchDistance = null;
+    closeOverview();
+  }
+}
+
+/**
+ * Initializes the overview: key and pinch gesture.
+ * @param {HTMLElement[]} pages - Page elements indexed by page number (sparse when pooled)
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+export function initOverview(pages, scrollEngine) {
+  if (!GLOBAL_CONFIG.OVERVIEW.enabled) return;
+
+  pageElements = pages;
+  scrollEngineInstance = scrollEngine;
+
+  document.addEventListener('keydown', handleGlobalKeydown, true);
+  registerShortcut(GLOBAL_CONFIG.OVERVIEW.key, () => (isOpen ? closeOverview() : openOverview()), {
+    description: 'Show all pages (again or Esc to return)',
+    group: 'View',
+  });
+  ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+    document.addEventListener(type, handlePinch, { passive: true });
+  });
+
+  console.log(`🗂️ Overview ready – press ${GLOBAL_CONFIG.OVERVIEW.key.toUpperCase()} or pinch to see all pages`);
+}
@@ -0,0 +1,224 @@
+/**
+ * PAGE POOL - DOM VIRTUALISATION FOR LARGE NOTEBOOKS
+ *
+ * createPagesFromPortfolioData() builds every sheet up front. Above
+ * PERFORMANCE.virtualizeAbovePages that costs boot time and memory, so the
+ * notebook is built from page descriptors (describePages()) instead.
+ *
+ * KEY CONCEPTS:
+ * - Pinned Pages: Covers and chapter cover pages are created once and never
+ *   released, so chapter tabs stay attached and visible on both stacks.
+ * - Window: Sheets within PERFORMANCE.maxVisiblePages of the scroll position
+ *   are bound to pooled elements. When the window moves, sheets that left it
+ *   are released and their elements rebound to the sheets that entered.
+ * - Stack Edges: The sheets outside the window are drawn as one edge element
+ *   per stack, placed at the depth of the nearest missing sheet.
+ * - Riffles: During a long jump the sheets where the bundle lands are bound
+ *   as well. The unbound middle of the bundle is drawn by a third edge that
+ *   turns with it.
+ *
+ * `pool.pages` keeps one entry per page index. Unbound pages are holes, which
+ * forEach() skips, so code walking the pages only sees elements in the DOM.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { createPageFromDescriptor } from './portfolioLoader.js';
+import { unloadPageTypeContent } from './pageTypes.js';
+import { getActualPageIndex, shouldUseInfiniteLoop } from './infiniteLoop.js';
+
+/**
+ * Pages that stay in the DOM for the whole session
+ * @param {Object} descriptor - Entry from describePages()
+ * @returns {boolean} Whether the page is pinned
+ */
+function isPinned(descriptor) {
+  return descriptor.kind !== 'page' || descriptor.isChapterCover;
+}
+
+/**
+ * Move a freshly built page into a recycled element
+ * @param {HTMLElement} target - Pooled element
+ * @param {HTMLElement} source - Element from createPageFromDescriptor()
+ */
+function adoptPage(target, source) {
+  [...target.attributes].forEach(attr => target.removeAttribute(attr.name));
+  [...source.attributes].forEach(attr => target.setAttribute(attr.name, attr.value));
+  target.replaceChildren(...source.childNodes);
+}
+
+/**
+ * Create the stand-in for one stack's missing sheets
+ * @param {string} side - 'unread' or 'read'
+ * @returns {HTMLElement} Edge element
+ */
+function createStackEdge(side) {
+  const edge = document.createElement('div');
+  edge.className = `page-stack-edge page-stack-edge--${side}`;
+  edge.setAttribute('aria-hidden', 'true');
+  edge.style.display = 'none';
+  return edge;
+}
+
+export class PagePool {
+  /**
+   * @param {HTMLElement} stack - .page-stack container
+   * @param {Object[]} descriptors - Page descriptors from describePages()
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onBind] - Called with an element after it starts showing a page
+   * @param {Function} [callbacks.onRelease] - Called with an element before it is recycled
+   */
+  constructor(stack, descriptors, { onBind, onRelease } = {}) {
+    this.stack = stack;
+    this.descriptors = descriptors;
+    this.onBind = onBind;
+    this.onRelease = onRelease;
+
+    this.pages = new Array(descriptors.length);
+    this.pinned = new Set();
+    this.bound = new Map(); // Page index → pooled element
+    this.free = [];
+    this.window = { first: 0, last: -1, gap: null };
+    this.rendered = [];
+
+    stack.innerHTML = '';
+    descriptors.filter(isPinned).forEach(descriptor => {
+      const el = createPageFromDescriptor(descriptor);
+      stack.appendChild(el);
+      this.pages[descriptor.index] = el;
+      this.pinned.add(descriptor.index);
+    });
+
+    this.edges = { unread: createStackEdge('unread'), read: createStackEdge('read'), bundle: createStackEdge('bundle') };
+    stack.append(this.edges.unread, this.edges.read, this.edges.bundle);
+
+    this.update(0);
+    console.log(`📚 Page pool created: ${descriptors.length} pages, ${this.pinned.size} pinned`);
+  }
+
+  /**
+   * Bind the sheets around a scroll position. Cheap when the window is unchanged.
+   * @param {number} scroll - Current (virtual) scroll position
+   * @param {Object} [riffle] - Bundle in flight ({ from, to }); its landing sheets are bound too
+   * @returns {boolean} Whether any page was bound or released
+   */
+  update(scroll, riffle = null) {
+    const total = this.descriptors.length;
+    const next = this.getWindow(scroll, riffle);
+    const { first, last, gap } = next;
+    const current = this.window;
+    if (first === current.first && last === current.last && gap?.first === current.gap?.first && gap?.last === current.gap?.last) {
+      return false;
+    }
+    this.window = next;
+
+    // Virtual positions map onto actual pages (wrapping in loop mode)
+    const loop = shouldUseInfiniteLoop(total);
+    const wanted = new Set();
+    for (let v = Math.max(0, first); v <= last; v++) {
+      if (v >= total && !loop) break;
+      if (gap && v >= gap.first && v <= gap.last) continue; // Drawn by the bundle edge
+      wanted.add(getActualPageIndex(v, total));
+    }
+
+    this.bound.forEach((el, index) => {
+      if (!wanted.has(index)) this.release(index);
+    });
+    wanted.forEach(index => {
+      if (!this.pinned.has(index) && !this.bound.has(index)) this.bind(index);
+    });
+
+    this.rendered = [];
+    this.pages.forEach((page, index) => this.rendered.push([index, page]));
+    return true;
+  }
+
+  /**
+   * Virtual positions to keep bound: PERFORMANCE.maxVisiblePages either side of
+   * the scroll position and, while riffling, of where the bundle lands. Between
+   * the two lies a gap of bundle sheets that stay unbound.
+   * @param {number} scroll - Current (virtual) scroll position
+   * @param {Object} [riffle] - Bundle in flight ({ from, to })
+   * @returns {Object} { first, last, gap } – gap is { first, last, slot } or null
+   */
+  getWindow(scroll, riffle) {
+    const reach = GLOBAL_CONFIG.PERFORMANCE.maxVisiblePages;
+    const around = position => ({ first: Math.floor(position) - reach, last: Math.floor(position) + reach + 1 });
+    const lifted = around(scroll);
+    if (!riffle) return { ...lifted, gap: null };
+
+    const landing = around(riffle.to);
+    const [low, high] = landing.first < lifted.first ? [landing, lifted] : [lifted, landing];
+    if (high.first <= low.last + 1) return { first: low.first, last: high.last, gap: null };
+
+    // The gap sheet next to the lifted end stands in for the whole gap
+    const gap = { first: low.last + 1, last: high.first - 1 };
+    gap.slot = riffle.to > riffle.from ? gap.first : gap.last;
+    return { first: low.first, last: high.last, gap };
+  }
+
+  /**
+   * Show a page in a recycled element (or a new one while the pool grows)
+   * @param {number} index - Page index
+   */
+  bind(index) {
+    const page = createPageFromDescriptor(this.descriptors[index]);
+    let el = this.free.pop();
+    if (el) {
+      adoptPage(el, page);
+    } else {
+      el = page;
+      this.stack.insertBefore(el, this.edges.unread);
+    }
+
+    this.bound.set(index, el);
+    this.pages[index] = el;
+    this.onBind?.(el);
+  }
+
+  /**
+   * Return a page's element to the pool
+   * @param {number} index - Page index
+   */
+  release(index) {
+    const el = this.bound.get(index);
+    this.onRelease?.(el);
+    unloadPageTypeContent(el);
+
+    // .page--visible forces display, so hide through the culling classes
+    el.classList.remove('page--visible', 'page--fading');
+    el.classList.add('page--hidden');
+    el.style.display = 'none';
+    delete el.dataset.globalIndex; // Keep lookups by page index unambiguous
+
+    this.bound.delete(index);
+    delete this.pages[index];
+    this.free.push(el);
+  }
+
+  /**
+   * Pages currently in the DOM
+   * @returns {Array<[number, HTMLElement]>} [page index, element] pairs
+   */
+  getRenderedPages() {
+    return this.rendered;
+  }
+
+  /**
+   * Stand-ins for the sheets outside the window, in stack slot space
+   * (see getStackSlot() in infiniteLoop.js)
+   * @param {number} offset - Loop window offset from getLoopOffset()
+   * @returns {Object[]} { element, slot, sheets } for the unread and read stacks and a riffling bundle
+   */
+  getStackEdges(offset) {
+    const total = this.descriptors.length;
+    const { first, last, gap } = this.window;
+    const unreadSlot = last + 1 - offset;
+    const readSlot = first - 1 - offset;
+
+    return [
+      { element: this.edges.unread, slot: unreadSlot, sheets: Math.max(0, Math.round(total - unreadSlot)) },
+      { element: this.edges.read, slot: readSlot, sheets: Math.max(0, Math.round(readSlot + 1)) },
+      { element: this.edges.bundle, slot: gap ? gap.slot - offset : 0, sheets: gap ? gap.last - gap.first + 1 : 0 },
+    ];
+  }
+}
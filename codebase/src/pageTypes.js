@@ -0,0 +1,364 @@
+/**
+ * PAGE TYPE REGISTRY
+ *
+ * Every page in portfolio.json has a `type`. Each type is a renderer registered here:
+ * - schema: extra fields the type needs (validated by portfolioLoader.js)
+ * - render(data, context): builds the page body that sits inside .page-content
+ * - load(element) / unload(element): optional hooks called from the preloader's
+ *   lazy-load flow when the page enters or leaves the viewport
+ *
+ * Media that should be lazy-loaded uses `data-src` (and `data-size`) so it joins
+ * the preloader's sequential queue like any image or video page.
+ * Adding a type means calling registerPageType() – createPageElement stays untouched.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+
+const PAGE_TYPES = new Map();
+
+/**
+ * Register a renderer for a page type
+ * @param {string} name - Value of `type` in portfolio.json
+ * @param {Object} definition - { schema, render, load?, unload? }
+ */
+export function registerPageType(name, definition) {
+  if (typeof definition?.render !== 'function') {
+    throw new Error(`Page type "${name}" needs a render(data, context) function`);
+  }
+  PAGE_TYPES.set(name, { schema: { type: 'object' }, ...definition, name });
+}
+
+/**
+ * @param {string} name - Page type name
+ * @returns {Object|undefined} Registered definition
+ */
+export function getPageType(name) {
+  return PAGE_TYPES.get(name);
+}
+
+/**
+ * @returns {string[]} All registered page type names
+ */
+export function getPageTypeNames() {
+  return [...PAGE_TYPES.keys()];
+}
+
+/**
+ * Build the body for one page side using its registered renderer
+ * @param {Object} data - Page (or `back` block) data from portfolio.json
+ * @param {Object} context - { resolveAsset(asset) → url, describeAsset(asset) → manifest info }
+ * @returns {HTMLElement} Body element tagged with data-page-type
+ */
+export function renderPageBody(data, context) {
+  const pageType = PAGE_TYPES.get(data.type);
+  if (!pageType) throw new Error(`Unknown page type "${data.type}"`);
+  const body = pageType.render(data, context);
+  body.dataset.pageType = data.type;
+  return body;
+}
+
+/**
+ * Run the `load` hook of every typed body inside a page
+ * @param {HTMLElement} pageElement - Page element entering the viewport
+ */
+export function loadPageTypeContent(pageElement) {
+  pageElement.querySelectorAll('[data-page-type]').forEach(body => {
+    PAGE_TYPES.get(body.dataset.pageType)?.load?.(body);
+  });
+}
+
+/**
+ * Run the `unload` hook of every typed body inside a page
+ * @param {HTMLElement} pageElement - Page element leaving the viewport
+ */
+export function unloadPageTypeContent(pageElement) {
+  pageElement.querySelectorAll('[data-page-type]').forEach(body => {
+    PAGE_TYPES.get(body.dataset.pageType)?.unload?.(body);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+const toSrcset = candidates => candidates.map(c => `${c.src} ${c.width}w`).join(', ');
+
+// Lazy image for a portfolio asset. When build.cjs recorded responsive variants
+// it becomes a <picture> with srcset/sizes, intrinsic width/height and a
+// placeholder (dominant colour + tiny preview) until loadPageAssets swaps it in.
+function createLazyImage(asset, context, alt, className, size) {
+  const info = context.describeAsset?.(asset) || {};
+  const src = context.resolveAsset(asset);
+  const img = document.createElement('img');
+  img.dataset.src = src;
+  img.alt = alt;
+  const bytes = size ?? info.size;
+  if (bytes) img.dataset.size = bytes;
+  img.loading = 'lazy';
+  img.className = className;
+  if (!info.width) return img;
+
+  const sizes = GLOBAL_CONFIG.PAGE_TYPES.imageSizes;
+  img.width = info.width;
+  img.height = info.height;
+  img.sizes = sizes;
+  img.dataset.srcset = toSrcset([...(info.variants?.webp || []), { src, width: info.width }]);
+  img.classList.add('page-media--placeholder');
+  img.style.backgroundColor = info.color;
+  if (info.placeholder) img.style.backgroundImage = `url('${info.placeholder}')`;
+
+  // Formats newer than WebP (AVIF) go into <source> elements the browser may skip
+  const modern = Object.entries(info.variants || {}).filter(([format, list]) => format !== 'webp' && list.length);
+  if (modern.length === 0) return img;
+
+  const picture = document.createElement('picture');
+  picture.className = 'page-picture';
+  modern.forEach(([format, list]) => {
+    const source = document.createElement('source');
+    source.type = `image/${format}`;
+    source.sizes = sizes;
+    source.dataset.srcset = toSrcset(list);
+    picture.appendChild(source);
+  });
+  picture.appendChild(img);
+  return picture;
+}
+
+// Keep touch drags and arrow keys on a widget away from page flipping
+// (scrollEngine listens on document); .page-interactive also opts out of zoom.
+function isolateInput(element) {
+  element.classList.add('page-interactive');
+  ['touchstart', 'touchmove'].forEach(type => {
+    element.addEventListener(type, event => event.stopPropagation(), { passive: true });
+  });
+  element.addEventListener('keydown', event => {
+    if (event.key.startsWith('Arrow') || event.key === ' ') event.stopPropagation();
+  });
+}
+
+const ASSET_FIELD = { type: 'string', minLength: 1 };
+
+// ---------------------------------------------------------------------------
+// image / video
+// ---------------------------------------------------------------------------
+registerPageType('image', {
+  schema: { type: 'object', required: ['asset'], properties: { asset: ASSET_FIELD } },
+  render(data, context) {
+    return createLazyImage(data.asset, context, data.commentary, 'page-content__inner page-content__media', data.size);
+  },
+});
+
+registerPageType('video', {
+  schema: { type: 'object', required: ['asset'], properties: { asset: ASSET_FIELD } },
+  render(data, { resolveAsset, describeAsset }) {
+    const v = document.createElement('video');
+    v.dataset.src = resolveAsset(data.asset);
+    const size = data.size ?? describeAsset?.(data.asset)?.size;
+    if (size) v.dataset.size = size;
+    v.loop = v.muted = v.autoplay = true;
+    v.playsInline = true;
+    v.preload = 'none';
+    v.className = 'page-content__inner page-content__media--video';
+    return v;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// text – a small markdown subset typeset on the paper
+// Headings (#, ##, ###), "- " lists, paragraphs, **bold**, *italic*, `code`
+// and [links](https://…). Built as DOM nodes, never innerHTML.
+// ---------------------------------------------------------------------------
+const INLINE_PATTERN = /(\*\*([^*]+)\*\*|\*([^*]+)\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\))/g;
+
+function appendInline(parent, text) {
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+    let node;
+    if (match[2] !== undefined) {
+      node = document.createElement('strong');
+      node.textContent = match[2];
+    } else if (match[3] !== undefined) {
+      node = document.createElement('em');
+      node.textContent = match[3];
+    } else if (match[4] !== undefined) {
+      node = document.createElement('code');
+      node.textContent = match[4];
+    } else if (/^(https?:|mailto:)/i.test(match[6])) {
+      node = document.createElement('a');
+      node.href = match[6];
+      node.target = '_blank';
+      node.rel = 'noopener noreferrer';
+      node.textContent = match[5];
+    } else {
+      node = document.createTextNode(match[5]); // unsafe scheme – keep the label only
+    }
+    parent.appendChild(node);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function renderMarkdown(source, container) {
+  source
+    .replace(/\r\n/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .forEach(block => {
+      const lines = block.split('\n');
+      const heading = block.match(/^(#{1,3})\s+(.*)$/s);
+      let el;
+      if (heading) {
+        el = document.createElement(`h${heading[1].length + 2}`); // h3–h5, below the page headings
+        appendInline(el, heading[2].replace(/\n/g, ' '));
+      } else if (lines.every(line => /^[-*]\s+/.test(line))) {
+        el = document.createElement('ul');
+        lines.forEach(line => {
+          const li = document.createElement('li');
+          appendInline(li, line.replace(/^[-*]\s+/, ''));
+          el.appendChild(li);
+        });
+      } else {
+        el = document.createElement('p');
+        appendInline(el, lines.join(' '));
+      }
+      container.appendChild(el);
+    });
+}
+
+registerPageType('text', {
+  schema: { type: 'object', required: ['text'], properties: { text: { type: 'string', minLength: 1 } } },
+  render(data) {
+    const body = document.createElement('div');
+    body.className = 'page-content__inner page-text';
+    renderMarkdown(data.text, body);
+    return body;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// comparison – before/after images split by a draggable divider
+// ---------------------------------------------------------------------------
+registerPageType('comparison', {
+  schema: {
+    type: 'object',
+    required: ['before', 'after'],
+    properties: { before: ASSET_FIELD, after: ASSET_FIELD, position: { type: 'number' } },
+  },
+  render(data, context) {
+    const body = document.createElement('div');
+    body.className = 'page-content__inner page-compare';
+
+    const after = createLazyImage(data.after, context, `${data.commentary} (after)`, 'page-compare__image');
+    const before = createLazyImage(data.before, context, `${data.commentary} (before)`, 'page-compare__image page-compare__image--before');
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '100';
+    slider.className = 'page-compare__slider';
+    slider.setAttribute('aria-label', 'Before/after divider');
+    isolateInput(slider);
+
+    const setPosition = percent => {
+      body.style.setProperty('--compare-position', `${percent}%`);
+    };
+    const start = Math.min(1, Math.max(0, data.position ?? GLOBAL_CONFIG.PAGE_TYPES.comparisonStart));
+    slider.value = String(Math.round(start * 100));
+    setPosition(slider.value);
+    slider.addEventListener('input', () => setPosition(slider.value));
+
+    body.append(after, before, slider);
+    return body;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// gallery – several images cycling inside one page while it is on screen
+// ---------------------------------------------------------------------------
+const galleryTimers = new WeakMap();
+
+function showGallerySlide(body, index) {
+  const slides = body.querySelectorAll('.page-gallery__image');
+  slides.forEach((slide, i) => slide.classList.toggle('page-gallery__image--active', i === index));
+  body.dataset.activeIndex = index;
+}
+
+registerPageType('gallery', {
+  schema: {
+    type: 'object',
+    required: ['assets'],
+    properties: {
+      assets: { type: 'array', minItems: 1, items: ASSET_FIELD },
+      interval: { type: 'number' },
+    },
+  },
+  render(data, context) {
+    const body = document.createElement('div');
+    body.className = 'page-content__inner page-gallery';
+    body.dataset.interval = data.interval || GLOBAL_CONFIG.PAGE_TYPES.galleryInterval;
+    data.assets.forEach((asset, i) => {
+      body.appendChild(createLazyImage(asset, context, `${data.commentary} (${i + 1}/${data.assets.length})`, 'page-gallery__image'));
+    });
+    showGallerySlide(body, 0);
+    return body;
+  },
+  load(body) {
+    const count = body.querySelectorAll('.page-gallery__image').length;
+    if (count < 2 || galleryTimers.has(body)) return;
+    galleryTimers.set(
+      body,
+      setInterval(() => showGallerySlide(body, (Number(body.dataset.activeIndex) + 1) % count), Number(body.dataset.interval))
+    );
+  },
+  unload(body) {
+    clearInterval(galleryTimers.get(body));
+    galleryTimers.delete(body);
+  },
+});
+
+// ---------------------------------------------------------------------------
+// link – a card with title, description and an outbound URL
+// ---------------------------------------------------------------------------
+registerPageType('link', {
+  schema: {
+    type: 'object',
+    required: ['url', 'title'],
+    properties: {
+      url: { type: 'string', pattern: /^https?:\/\//i, hint: 'an http(s) URL' },
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      asset: ASSET_FIELD,
+    },
+  },
+  render(data, context) {
+    const card = document.createElement('a');
+    card.className = 'page-content__inner page-link-card';
+    card.href = data.url;
+    card.target = '_blank';
+    card.rel = 'noopener noreferrer';
+    card.classList.add('page-interactive'); // swipes still flip, clicks open the link
+
+    if (data.asset) {
+      card.appendChild(createLazyImage(data.asset, context, data.title, 'page-link-card__image', data.size));
+    }
+
+    const title = document.createElement('span');
+    title.className = 'page-link-card__title';
+    title.textContent = data.title;
+    card.appendChild(title);
+
+    if (data.description) {
+      const description = document.createElement('span');
+      description.className = 'page-link-card__description';
+      description.textContent = data.description;
+      card.appendChild(description);
+    }
+
+    const host = document.createElement('span');
+    host.className = 'page-link-card__url';
+    host.textContent = new URL(data.url).host;
+    card.appendChild(host);
+    return card;
+  },
+});
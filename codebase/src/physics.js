@@ -1,93 +1,171 @@
-// physics.js – lightweight spring-solver for realistic page settling
+// physics.js – rigid-plate solver for realistic page settling
 // -------------------------------------------------------------------
 // The solver treats a page as a thin rigid plate hinged at its top edge.
-// While the user is actively scrolling we directly map wheel delta → angle
+// While the user is actively scrolling we directly map input → angle
 // outside this module. The moment the user lets go, the page is released
 // with its current angle and angular velocity. We then integrate forward
 // each animation frame until the page rests flat (0° or 180°).
 //
-// Simplifications:
-// • The plate’s moment of inertia around the hinge is approximated as
-//   I = (1/3) * m * h^2   (thin rod formula; good enough visually).
-// • Damping term models hinge friction / air resistance.
-// • We cap dt to avoid large jumps on low frame-rate devices.
+// Model (θ = 0 flat on the unread stack, θ = π flat on the read stack):
+// • Gravity pulls the plate away from upright: τ = −m·g·(h/2)·cos θ.
+// • Paper stiffness springs it towards the nearer flat side.
+// • Damping models hinge friction / air resistance.
+// • Hitting a stack bounces with `restitution`; a fast enough landing in
+//   the direction of the flick hands `carry` of its speed to the next page,
+//   so one flick can turn several pages.
+// • The plate's moment of inertia around the hinge is I = (1/3)·m·h².
 //
-// The solver is intentionally stateless outside the PagePhysics instance so
-// multiple pages can run in parallel if ever needed.
+// Parameters are passed to every step() so they can be tuned at runtime.
 
 const DEFAULTS = {
   mass: 0.009,            // kg (150 gsm A4 ≈ 0.009 kg)
   height: 0.297,          // m (A4 height) – used for inertia approximation
-  gravityMul: 2.0,        // gravity multiplier (Earth×2)
-  damping: 5,             // critical damping ≈ 2*sqrt(k*I); tweak in debug UI
+  gravity: 2.0,           // gravity multiplier (Earth×2)
+  stiffness: 3,           // mN·m/rad – spring towards the nearer flat side
+  damping: 1,             // mN·m·s/rad – hinge friction and air drag
+  restitution: 0.2,       // share of speed kept when bouncing off a stack
+  carry: 0.6,             // share of landing speed passed on to the next page
+  carryMinVelocity: 1200, // deg/s – landing speed needed to carry over
+  restVelocity: 30,       // deg/s – slower landings come to rest
   maxDt: 1 / 30,          // seconds – clamp to 30 fps for stability
-  restThresholdDeg: 0.2,  // stop simulation when |ω| < … and close to flat
+  subStep: 1 / 240,       // seconds – integration step
 };
 
+const G = 9.81;
+const A4_AREA = 0.06237; // m²
+const toRad = deg => (deg * Math.PI) / 180;
+
 export class PagePhysics {
-  constructor({
-    mass = DEFAULTS.mass,
-    height = DEFAULTS.height,
-    gravityMul = DEFAULTS.gravityMul,
-    damping = DEFAULTS.damping,
-  } = {}) {
-    this.mass = mass;
-    this.height = height;
-    this.g = 9.81 * gravityMul;
-    this.damping = damping;
-
-    // Moment of inertia around hinge (thin plate pivoting around edge)
-    // I = (1/3) m h^2
-    this.I = (1 / 3) * this.mass * Math.pow(this.height, 2);
+  /**
+   * @param {Object} [bounds]
+   * @param {number} [bounds.minPage=0] - Lowest page index that can be flipped
+   * @param {number} [bounds.maxPage=Infinity] - Highest page index that can be flipped
+   */
+  constructor({ minPage = 0, maxPage = Infinity } = {}) {
+    this.minPage = minPage;
+    this.maxPage = maxPage;
 
     // State
+    this.page = 0;       // index of the page in motion
     this.theta = 0;      // radians (0 = flat unread side)
     this.omega = 0;      // rad/s
-    this.targetSide = 0; // 0 for unread, Math.PI for read stack
+    this.direction = 0;  // +1 / −1 – flick direction that may carry over
+    this.queued = [];    // deg/s for pages still to flick, see flick()
     this.active = false; // running solver
   }
 
   /**
-   * Start a settle towards the closest side based on current angle.
+   * Release a page.
+   * page: index of the page in motion.
    * thetaDeg: current rotation in degrees.
    * omegaDeg: current angular velocity in deg/s.
    */
-  release({ thetaDeg, omegaDeg }) {
-    this.theta = (thetaDeg * Math.PI) / 180;
-    this.omega = (omegaDeg * Math.PI) / 180;
-    // Decide landing side
-    this.targetSide = this.theta > Math.PI / 2 ? Math.PI : 0;
+  release({ page, thetaDeg, omegaDeg }) {
+    this.page = page;
+    this.theta = toRad(thetaDeg);
+    this.omega = toRad(omegaDeg);
+    this.direction = Math.sign(omegaDeg);
+    this.queued = [];
     this.active = true;
   }
 
-  /** advance simulation by dt seconds */
-  step(dt) {
-    if (!this.active) return this.theta;
-
-    // Clamp dt for stability
-    dt = Math.min(dt, DEFAULTS.maxDt);
-
-    // Compute torque due to gravity – assume CoM at h/2 from hinge
-    const torque = this.mass * this.g * (this.height / 2) * Math.sin(this.theta);
-    // Equation: I * α + damping * ω + k*(theta-target) = torque
-    // We model spring-like bias towards target side with large k.
-    const k = 500; // N·m/rad – stiff spring to landing position
-    const alpha = (torque - this.damping * this.omega - k * (this.theta - this.targetSide)) / this.I;
-
-    // Integrate (semi-implicit Euler)
-    this.omega += alpha * dt;
-    this.theta += this.omega * dt;
-
-    // Check rest condition
-    const thetaDeg = (this.theta * 180) / Math.PI;
-    const omegaDeg = (this.omega * 180) / Math.PI;
-    if (Math.abs(omegaDeg) < 5 && Math.abs(thetaDeg - (this.targetSide * 180) / Math.PI) < DEFAULTS.restThresholdDeg) {
-      this.theta = this.targetSide;
+  /**
+   * Flick while a page is in motion (e.g. repeated key presses).
+   * Flicks in the current direction queue up and each lifts one more page as
+   * the previous one lands; a flick the other way pushes the moving page back.
+   * @param {number} omegaDeg - deg/s, positive flips forward
+   */
+  flick(omegaDeg) {
+    if (Math.sign(omegaDeg) === this.direction) {
+      this.queued.push(omegaDeg);
+    } else {
+      this.omega += toRad(omegaDeg);
+      this.direction = Math.sign(omegaDeg);
+      this.queued = [];
+    }
+  }
+
+  /**
+   * Advance the simulation by dt seconds
+   * @param {number} dt - seconds since the last step
+   * @param {Object} [params] - Overrides for DEFAULTS (mass, gravity, stiffness, …)
+   * @returns {number} Scroll position (page + θ/π)
+   */
+  step(dt, params = {}) {
+    if (!this.active) return this.getPosition();
+    const p = { ...DEFAULTS, ...params };
+
+    const inertia = (1 / 3) * p.mass * p.height * p.height;
+    const g = G * p.gravity;
+    const k = p.stiffness / 1000;
+    const c = p.damping / 1000;
+
+    let remaining = Math.min(dt, p.maxDt);
+    while (remaining > 0 && this.active) {
+      const h = Math.min(p.subStep, remaining);
+      remaining -= h;
+
+      const side = this.theta > Math.PI / 2 ? Math.PI : 0;
+      const torque =
+        -p.mass * g * (p.height / 2) * Math.cos(this.theta) - k * (this.theta - side) - c * this.omega;
+
+      // Semi-implicit Euler
+      this.omega += (torque / inertia) * h;
+      this.theta += this.omega * h;
+
+      if (this.theta <= 0 || this.theta >= Math.PI) this.land(p);
+    }
+
+    return this.getPosition();
+  }
+
+  /**
+   * Page hit a stack: carry over to the next page, bounce, or rest
+   * @param {Object} p - Resolved parameters
+   */
+  land(p) {
+    const forward = this.theta >= Math.PI;
+    const speedDeg = (Math.abs(this.omega) * 180) / Math.PI;
+    const nextPage = this.page + (forward ? 1 : -1);
+    const inBounds = nextPage >= this.minPage && nextPage <= this.maxPage;
+
+    if (this.queued.length && this.direction === (forward ? 1 : -1) && inBounds) {
+      // A queued flick lifts the next page as this one lands
+      this.page = nextPage;
+      this.theta = forward ? 0 : Math.PI;
+      this.omega = toRad(this.queued.shift());
+      return;
+    }
+    this.queued = [];
+
+    const canCarry =
+      p.carry > 0 &&
+      speedDeg >= p.carryMinVelocity &&
+      this.direction === (forward ? 1 : -1) &&
+      inBounds;
+
+    if (canCarry) {
+      // The landed page stays down; the next one lifts with part of the speed
+      this.page = nextPage;
+      this.theta = forward ? 0 : Math.PI;
+      this.omega *= p.carry;
+      return;
+    }
+
+    this.theta = forward ? Math.PI : 0;
+    if (speedDeg * p.restitution < p.restVelocity) {
       this.omega = 0;
       this.active = false;
+    } else {
+      this.omega = -this.omega * p.restitution;
     }
+  }
 
-    return this.theta; // radians
+  /**
+   * @returns {number} Scroll position (page + θ/π)
+   */
+  getPosition() {
+    return this.page + this.theta / Math.PI;
   }
 
   isActive() {
@@ -95,6 +173,16 @@ export class PagePhysics {
   }
 }
 
+/**
+ * Mass of one page from paper weight
+ * @param {number} gsm - grams per square metre
+ * @returns {number} kg for an A4 sheet
+ */
+export function getPageMass(gsm) {
+  if (typeof gsm !== 'number' || gsm <= 0) return DEFAULTS.mass;
+  return (gsm / 1000) * A4_AREA;
+}
+
 // -------------------------------------------------------------
 // Helper: derive page lift height from paper weight (gsm)
 // A4 page area ≈ 0.06237 m². 80 gsm standard office paper gives
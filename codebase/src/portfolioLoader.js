@@ -5,45 +5,216 @@
 import { GLOBAL_CONFIG } from './config.js';
 import { CHAPTERS } from './chapters.js';
 import { init as initLockedPortfolio } from './lockedPortfolio.js';
+import { getPageType, getPageTypeNames, renderPageBody } from './pageTypes.js';
+import { PORTFOLIO_MANIFEST } from './portfolioManifest.js';
 
 // ---------------------------------------------------------------------------
-// 1. SCHEMA (unchanged – trimmed for brevity)
+// 1. SCHEMA + VALIDATION
 // ---------------------------------------------------------------------------
+// Chapter colours are either a GLOBAL_CONFIG.COLORS.palette key, 'default'
+// (plain paper) or a #rgb / #rrggbb hex value.
+const CHAPTER_COLOR_KEYS = ['default', ...Object.keys(GLOBAL_CONFIG.COLORS.palette)];
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const CHAPTER_COLOR_PATTERN = new RegExp(
+  `^(?:${CHAPTER_COLOR_KEYS.join('|')}|#(?:[0-9a-f]{3}|[0-9a-f]{6}))$`,
+  'i'
+);
+
+// Shared by the page front and its optional `back` block. Type-specific fields
+// (asset, text, before/after, …) come from the renderer registered in pageTypes.js.
+const PAGE_SIDE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'commentary'],
+  properties: {
+    type: {
+      type: 'string',
+      get enum() {
+        return getPageTypeNames();
+      },
+    },
+    commentary: { type: 'string' },
+  },
+  variant: page => getPageType(page.type)?.schema,
+};
+
+// Optional front/back cover branding; defaults live in GLOBAL_CONFIG.COVERS
+const COVER_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    subtitle: { type: 'string' },
+    image: { type: 'string', minLength: 1 },
+    material: { type: 'string', enum: Object.keys(GLOBAL_CONFIG.COVERS.materials) },
+    commentary: { type: 'string' },
+    dwell: { type: 'number' },
+    notes: { type: 'string' },
+  },
+};
+
+const CONTACT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    email: { type: 'string', pattern: /^[^@\s]+@[^@\s]+$/, hint: 'an email address' },
+    phone: { type: 'string' },
+    website: { type: 'string', pattern: /^https?:\/\//i, hint: 'an http(s) URL' },
+    location: { type: 'string' },
+  },
+};
+
 export const PORTFOLIO_SCHEMA = {
   type: 'object',
   required: ['projects'],
   properties: {
+    covers: {
+      type: 'object',
+      properties: {
+        front: COVER_SCHEMA,
+        back: {
+          ...COVER_SCHEMA,
+          properties: { ...COVER_SCHEMA.properties, contact: CONTACT_SCHEMA },
+        },
+      },
+    },
     projects: {
       type: 'array',
+      minItems: 1,
+      uniqueBy: 'id', // chapter ids key the router, tabs and bookmarks
       items: {
         type: 'object',
         required: ['id', 'title', 'pages'],
         properties: {
-          id: { type: 'string' },
+          id: { type: 'string', minLength: 1 },
           title: { type: 'string' },
+          subtitle: { type: 'string' },
+          color: {
+            type: 'string',
+            pattern: CHAPTER_COLOR_PATTERN,
+            hint: `a palette key (${CHAPTER_COLOR_KEYS.join('|')}) or a hex colour`,
+          },
+          tabImage: { type: 'string', minLength: 1 },
           pages: {
             type: 'array',
+            minItems: 1,
             items: {
-              type: 'object',
-              required: ['asset', 'type', 'commentary'],
+              ...PAGE_SIDE_SCHEMA,
               properties: {
-                asset: { type: 'string' },
-                type: { type: 'string', enum: ['image', 'video'] },
-                commentary: { type: 'string' },
+                ...PAGE_SIDE_SCHEMA.properties,
+                back: PAGE_SIDE_SCHEMA,
+                dwell: { type: 'number' },
+                notes: { type: 'string' }, // Speaker notes – only shown in the presenter window
               },
             },
           },
         },
       },
     },
+    // Build-time only – read by build.cjs for the content integrity check
+    sizeBudget: {
+      type: 'object',
+      properties: {
+        imageKB: { type: 'number' },
+        videoKB: { type: 'number' },
+        failOnBudget: { type: 'boolean' },
+      },
+    },
   },
 };
 
-// Very light runtime validator – just checks array shapes
-export function validatePortfolioSchema(data) {
+// Raised when portfolio.json does not match PORTFOLIO_SCHEMA. Carries every
+// path-precise message so callers can list them all, not just the first one.
+export class PortfolioValidationError extends Error {
+  constructor(errors) {
+    super(`Portfolio data validation failed (${errors.length} error${errors.length === 1 ? '' : 's'})`);
+    this.name = 'PortfolioValidationError';
+    this.errors = errors;
+  }
+}
+
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Walks one schema node and collects errors such as
+// `projects[1].pages[4].type must be image|video`.
+function validateNode(value, schema, path, errors) {
+  const label = path || 'portfolio';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${label} must be ${describeType(schema.type)}`);
+    return; // children are meaningless once the shape is wrong
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be ${schema.enum.join('|')}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${label} must be ${schema.hint || `matching ${schema.pattern}`}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${label} must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${label} must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+    }
+    if (schema.uniqueBy) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = item?.[schema.uniqueBy];
+        if (typeof key !== 'string' || !key) return; // missing/invalid ids are reported above
+        if (seen.has(key)) errors.push(`${path}[${i}].${schema.uniqueBy}: duplicate "${key}"`);
+        seen.add(key);
+      });
+    }
+    return;
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${joinPath(path, key)} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+      if (value[key] !== undefined) validateNode(value[key], childSchema, joinPath(path, key), errors);
+    });
+    // Extra rules picked from the value itself, e.g. the fields a page type needs
+    const variant = schema.variant?.(value);
+    if (variant) validateNode(value, variant, path, errors);
+  }
+}
+
+// Full runtime validator – walks PORTFOLIO_SCHEMA and reports every mismatch
+export function validatePortfolioSchema(data, schema = PORTFOLIO_SCHEMA) {
+  const errors = [];
+  validateNode(data, schema, '', errors);
   return {
-    isValid: !!data && Array.isArray(data.projects),
-    errors: [],
+    isValid: errors.length === 0,
+    errors,
   };
 }
 
@@ -54,6 +225,20 @@ export function resolveAssetPath(_, asset) {
   return `assets/portfolio-pages/pages/${asset}`;
 }
 
+// Build-time facts about a page asset: byte size plus, for raster images,
+// intrinsic size, placeholder and responsive variants (see build.cjs)
+function describeAsset(asset) {
+  return {
+    size: PORTFOLIO_MANIFEST.sizes?.[asset],
+    ...PORTFOLIO_MANIFEST.images?.[asset],
+  };
+}
+
+const PAGE_RENDER_CONTEXT = {
+  resolveAsset: asset => resolveAssetPath(null, asset),
+  describeAsset,
+};
+
 function addPageHoles(front, back) {
   const f = document.createElement('div');
   f.className = 'page-holes page-holes--styled';
@@ -63,32 +248,28 @@ function addPageHoles(front, back) {
   back.appendChild(b);
 }
 
-function createMediaElement(type, src, alt, size) {
-  if (type === 'video') {
-    const v = document.createElement('video');
-    v.dataset.src = src;
-    if (size) v.dataset.size = size;
-    v.loop = v.muted = v.autoplay = true;
-    v.playsInline = true;
-    v.preload = 'none';
-    v.className = 'page-content__inner page-content__media--video';
-    return v;
-  }
-  const img = document.createElement('img');
-  img.dataset.src = src;
-  img.alt = alt;
-  if (size) img.dataset.size = size;
-  img.loading = 'lazy';
-  img.className = 'page-content__inner page-content__media';
-  return img;
+// Media + on-page commentary for one side of a sheet
+function createPageContent(side, data) {
+  const content = document.createElement('div');
+  content.className = `page-content page-content--${side}`;
+
+  content.appendChild(renderPageBody(data, PAGE_RENDER_CONTEXT));
+
+  const commentary = document.createElement('div');
+  commentary.className = 'page-content__commentary';
+  commentary.textContent = data.commentary;
+  content.appendChild(commentary);
+  return content;
 }
 
 function createPageElement(data, chapterId, pageIndexInChapter, globalIndex, size) {
   const page = document.createElement('div');
-  page.className = `page page--positioned gpu-accelerated${data.type === 'video' ? ' page--video-page' : ''}`;
+  page.className = `page page--positioned gpu-accelerated page--type-${data.type}${data.type === 'video' ? ' page--video-page' : ''}`;
   page.dataset.commentary = data.commentary;
   page.dataset.chapterId = chapterId;
   page.dataset.pageIndex = pageIndexInChapter;
+  page.dataset.globalIndex = globalIndex; // Position in the notebook (DOM order differs when pooled)
+  if (data.dwell) page.dataset.dwell = data.dwell; // Autoplay time on this page (ms)
 
   const front = document.createElement('div');
   front.className = 'page-front';
@@ -96,18 +277,16 @@ function createPageElement(data, chapterId, pageIndexInChapter, globalIndex, siz
   back.className = 'page-back';
   addPageHoles(front, back);
 
-  const frontContent = document.createElement('div');
-  frontContent.className = 'page-content page-content--front';
-
-  const media = createMediaElement(data.type, `assets/portfolio-pages/pages/${data.asset}`, data.commentary, size);
-  frontContent.appendChild(media);
+  front.appendChild(createPageContent('front', { ...data, size }));
 
-  const commentary = document.createElement('div');
-  commentary.className = 'page-content__commentary';
-  commentary.textContent = data.commentary;
-  frontContent.appendChild(commentary);
+  // Optional content on the reverse side – shown on the read stack after the flip
+  if (data.back) {
+    page.classList.add('page--double-sided');
+    page.dataset.backCommentary = data.back.commentary;
+    back.classList.add('page-back--content');
+    back.appendChild(createPageContent('back', data.back));
+  }
 
-  front.appendChild(frontContent);
   page.appendChild(front);
   page.appendChild(back);
 
@@ -121,11 +300,70 @@ function createPageElement(data, chapterId, pageIndexInChapter, globalIndex, siz
   return page;
 }
 
-function createCoverPage(kind, commentary, idx) {
+// Resolve a cover image (folio-cover/ filename) or named material to a CSS url()
+export function resolveCoverBackground(cover) {
+  if (cover.image) return `url('assets/portfolio-pages/folio-cover/${cover.image}')`;
+  const material = GLOBAL_CONFIG.COVERS.materials[cover.material];
+  return material ? `url('${material}')` : null;
+}
+
+// Title/subtitle printed on the cover board
+function createCoverLabel(cover) {
+  const label = document.createElement('div');
+  label.className = 'cover-label';
+  if (cover.title) {
+    const title = document.createElement('h2');
+    title.className = 'cover-label__title';
+    title.textContent = cover.title;
+    label.appendChild(title);
+  }
+  if (cover.subtitle) {
+    const subtitle = document.createElement('p');
+    subtitle.className = 'cover-label__subtitle';
+    subtitle.textContent = cover.subtitle;
+    label.appendChild(subtitle);
+  }
+  return label;
+}
+
+// Owner details on the back cover; email/phone/website become links
+function createCoverContact(contact) {
+  const list = document.createElement('ul');
+  list.className = 'cover-contact';
+  const hrefs = {
+    email: value => `mailto:${value}`,
+    phone: value => `tel:${value.replace(/[^\d+]/g, '')}`,
+    website: value => value,
+  };
+
+  ['name', 'email', 'phone', 'website', 'location'].forEach(field => {
+    if (!contact[field]) return;
+    const item = document.createElement('li');
+    item.className = `cover-contact__item cover-contact__item--${field}`;
+    if (hrefs[field]) {
+      const link = document.createElement('a');
+      link.href = hrefs[field](contact[field]);
+      link.textContent = field === 'website' ? contact[field].replace(/^https?:\/\//i, '') : contact[field];
+      if (field === 'website') {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+      }
+      item.appendChild(link);
+    } else {
+      item.textContent = contact[field];
+    }
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function createCoverPage(kind, coverData, idx) {
+  const options = { ...GLOBAL_CONFIG.COVERS[kind], ...coverData };
   const cover = document.createElement('div');
   cover.className = `page cover cover--${kind} gpu-accelerated`;
-  cover.dataset.commentary = commentary;
+  cover.dataset.commentary = options.commentary;
   cover.dataset.deckNumber = kind === 'front' ? 'front' : String(idx + 1).padStart(2, '0');
+  if (options.dwell) cover.dataset.dwell = options.dwell; // Autoplay time on this cover (ms)
   const front = document.createElement('div');
   front.className = 'page-front';
   const back = document.createElement('div');
@@ -133,6 +371,17 @@ function createCoverPage(kind, commentary, idx) {
   front.classList.add('cover', `cover--${kind}`);
   addPageHoles(front, back);
 
+  // Custom artwork or material replaces the stylesheet's default board
+  const background = resolveCoverBackground(options);
+  if (background) front.style.backgroundImage = background;
+  if (options.material && kind === 'front') back.style.backgroundImage = background;
+
+  if (options.title || options.subtitle || options.contact) {
+    const label = createCoverLabel(options);
+    if (kind === 'back' && options.contact) label.appendChild(createCoverContact(options.contact));
+    front.appendChild(label);
+  }
+
   // Add digital band to front cover only
   if (kind === 'front') {
     const band = document.createElement('div');
@@ -180,147 +429,181 @@ function createCoverPage(kind, commentary, idx) {
   return cover;
 }
 
-export function createPagesFromPortfolioData(container, data) {
+/**
+ * Describe every sheet of the notebook without building any DOM: covers,
+ * chapter pages and back cover in order. Also fills CHAPTERS.
+ * pagePool.js builds elements from these on demand for large notebooks.
+ * @param {Object} data - Validated portfolio.json
+ * @returns {Object[]} Page descriptors, one per page index
+ */
+export function describePages(data) {
   const valid = validatePortfolioSchema(data);
-  if (!valid.isValid) throw new Error('Invalid portfolio schema');
+  if (!valid.isValid) throw new PortfolioValidationError(valid.errors);
 
-  const stack = container.classList.contains('page-stack') ? container : container.querySelector('.page-stack');
-  stack.innerHTML = '';
   CHAPTERS.length = 0;
+  const descriptors = [];
 
-  const pages = [];
-  let globalIdx = 0;
-  
-  // Create front cover
-  const front = createCoverPage('front', 'Welcome!', globalIdx++);
-  stack.appendChild(front);
-  pages.push(front);
-
-  // Build chapters from WebP file data
-  const chapters = buildChaptersFromWebP(data);
-  
-  // Create pages for each chapter
-  chapters.forEach((chapter, chapterIdx) => {
-    // Create regular pages for this chapter
+  // Front cover
+  descriptors.push({ kind: 'front', cover: data.covers?.front, index: 0 });
+
+  // Build chapters from the projects declared in portfolio.json
+  buildChapters(data).forEach(chapter => {
     chapter.pages.forEach((pageData, pageIdx) => {
-      const el = createPageElement(pageData, chapter.id, pageIdx, globalIdx++, pageData.size);
-      
-      // If this is the first page of the chapter, mark it as chapter cover and add tab
+      // The first page of the chapter is the chapter cover that carries the tab
       if (pageIdx === 0) {
-        el.classList.add('chapter-cover');
-        el.dataset.isChapterCover = 'true';
-        
-        // Add chapter to CHAPTERS array with first page index
         CHAPTERS.push({
           id: chapter.id,
           title: chapter.title,
+          subtitle: chapter.subtitle,
           color: chapter.color,
-          page: pages.length, // Index of the first page (about to be added)
-          tabImage: chapter.tabImage || null
+          page: descriptors.length, // Index of the first page (about to be added)
+          pageCount: chapter.pages.length,
+          tabImage: chapter.tabImage
         });
       }
-      
+
       // Apply chapter background color to first 3 pages and last page
-      // Skip coloring for chapter 0 (it uses default paper color)
+      // Chapters on the default paper colour stay uncoloured
       const isFirstThreePages = pageIdx < 3;
       const isLastPage = pageIdx === chapter.pages.length - 1;
-      const isChapterZero = chapter.id === 'chapter-0';
-      
-      if ((isFirstThreePages || isLastPage) && !isChapterZero) {
-        el.classList.add('chapter-page-colored');
-        el.dataset.chapterColor = chapter.color; // Use tab color
-        el.style.setProperty('--chapter-color', chapter.color);
-      }
-      
-      stack.appendChild(el);
-      pages.push(el);
-      globalIdx++;
+      const isPlainPaper = chapter.color === GLOBAL_CONFIG.COLORS.default;
+
+      descriptors.push({
+        kind: 'page',
+        data: pageData,
+        index: descriptors.length,
+        chapterId: chapter.id,
+        pageIndexInChapter: pageIdx,
+        isChapterCover: pageIdx === 0,
+        color: (isFirstThreePages || isLastPage) && !isPlainPaper ? chapter.color : null,
+      });
     });
   });
 
-  // Create back cover
-  const back = createCoverPage('back', 'Thank you!', globalIdx++);
-  stack.appendChild(back);
-  pages.push(back);
-  
-  return pages;
+  // Back cover
+  descriptors.push({ kind: 'back', cover: data.covers?.back, index: descriptors.length });
+
+  return descriptors;
+}
+
+/**
+ * Build the element for one page descriptor
+ * @param {Object} descriptor - Entry from describePages()
+ * @returns {HTMLElement} Page element (not yet attached)
+ */
+export function createPageFromDescriptor(descriptor) {
+  if (descriptor.kind !== 'page') {
+    const cover = createCoverPage(descriptor.kind, descriptor.cover, descriptor.index);
+    cover.dataset.globalIndex = descriptor.index;
+    return cover;
+  }
+
+  const { data } = descriptor;
+  const el = createPageElement(data, descriptor.chapterId, descriptor.pageIndexInChapter, descriptor.index, data.size);
+
+  if (descriptor.isChapterCover) {
+    el.classList.add('chapter-cover');
+    el.dataset.isChapterCover = 'true';
+  }
+
+  if (descriptor.color) {
+    el.classList.add('chapter-page-colored');
+    el.dataset.chapterColor = descriptor.color; // Use tab color
+    el.style.setProperty('--chapter-color', descriptor.color);
+  }
+
+  return el;
+}
+
+export function createPagesFromPortfolioData(container, data) {
+  const stack = container.classList.contains('page-stack') ? container : container.querySelector('.page-stack');
+  stack.innerHTML = '';
+
+  return describePages(data).map(descriptor => {
+    const el = createPageFromDescriptor(descriptor);
+    stack.appendChild(el);
+    return el;
+  });
+}
+
+// Legacy exports were named chapter-N-M.webp and shipped as one flat project
+const CHAPTER_FILENAME_PATTERN = /^chapter-(\d+)-(\d+)\.[a-z0-9]+$/i;
+
+// Palette rotation used when a chapter does not declare its own colour
+const FALLBACK_COLORS = ['coral', 'peach', 'lavender', 'mint', 'lemon', 'rose', 'sky'];
+
+// Resolve a project colour (palette key, 'default' or hex) to a CSS colour
+function resolveChapterColor(color, chapterIdx) {
+  const { palette } = GLOBAL_CONFIG.COLORS;
+  if (color) {
+    const key = color.toLowerCase();
+    if (key === 'default') return GLOBAL_CONFIG.COLORS.default;
+    if (palette[key]) return palette[key];
+    if (HEX_COLOR_PATTERN.test(color)) return color;
+  }
+  // Chapter 0 keeps the plain paper colour, later chapters rotate the palette
+  if (chapterIdx === 0) return GLOBAL_CONFIG.COLORS.default;
+  return palette[FALLBACK_COLORS[(chapterIdx - 1) % FALLBACK_COLORS.length]];
+}
+
+// A project only falls back to filename grouping when it declares no chapter
+// metadata and every page follows chapter-N-M across more than one chapter.
+function isLegacyFilenameProject(project) {
+  if (project.color || project.tabImage || project.subtitle) return false;
+  const matches = project.pages.map(page => page.asset.match(CHAPTER_FILENAME_PATTERN));
+  if (matches.some(match => !match)) return false;
+  return new Set(matches.map(match => match[1])).size > 1;
 }
 
-// Build chapters from WebP files in the manifest
-function buildChaptersFromWebP(data) {
-  // Color palette for chapters (same colors for tabs and pages)
-  const colors = [
-    GLOBAL_CONFIG.COLORS.palette.coral,
-    GLOBAL_CONFIG.COLORS.palette.peach,
-    GLOBAL_CONFIG.COLORS.palette.lavender,
-    GLOBAL_CONFIG.COLORS.palette.mint,
-    GLOBAL_CONFIG.COLORS.palette.lemon,
-    GLOBAL_CONFIG.COLORS.palette.rose,
-    GLOBAL_CONFIG.COLORS.palette.sky
-  ];
-  
-  // Tab image names for chapters
-  const tabImages = [
-    'chapter-0-tab.webp', // Chapter 0 - placeholder
-    'chapter-1-tab.webp',
-    'chapter-2-tab.webp', 
-    'chapter-3-tab.webp',
-    'chapter-4-tab.webp',
-    'chapter-5-tab.webp',
-    'chapter-6-tab.webp'
-  ];
-  
+// Build chapters: every project is one chapter, pages kept in JSON order
+function buildChapters(data) {
   const chapters = [];
-  
-  // Group pages by chapter based on filename patterns
-  const chapterGroups = {};
-  
-  // Process portfolio data to group by chapters
+
   data.projects.forEach(project => {
-    project.pages.forEach(page => {
-      const match = page.asset.match(/^chapter-(\d+)-(\d+)\.webp$/);
-      if (match) {
-        const chapterNum = parseInt(match[1]);
-        const pageNum = parseInt(match[2]);
-        
-        if (!chapterGroups[chapterNum]) {
-          chapterGroups[chapterNum] = [];
-        }
-        
-        chapterGroups[chapterNum].push({
-          ...page,
-          pageNum,
-        });
-      }
-    });
-  });
-  
-  // Create chapter objects
-  Object.keys(chapterGroups).sort((a, b) => parseInt(a) - parseInt(b)).forEach((chapterNum, idx) => {
-    const chapterIndex = parseInt(chapterNum);
-    const chapterPages = chapterGroups[chapterNum].sort((a, b) => a.pageNumber - b.pageNumber);
-    
-    // Chapter 0 uses default paper color, other chapters use shifted palette colors
-    let chapterColor;
-    if (chapterIndex === 0) {
-      chapterColor = GLOBAL_CONFIG.COLORS.default; // Default paper color
-    } else {
-      // Shift colors: chapter 1 gets colors[0], chapter 2 gets colors[1], etc.
-      chapterColor = colors[(chapterIndex - 1) % colors.length];
+    if (isLegacyFilenameProject(project)) {
+      console.warn(`📑 Project "${project.id}" has no chapter metadata – grouping pages by filename`);
+      buildChaptersFromFilenames(project).forEach(chapter => chapters.push(chapter));
+      return;
     }
-    
+
     chapters.push({
-      id: `chapter-${chapterIndex}`,
-      title: `Chapter ${chapterIndex}`,
-      color: chapterColor,
-      pages: chapterPages,
-      tabImage: tabImages[chapterIndex] || null
+      id: project.id,
+      title: project.title,
+      subtitle: project.subtitle || null,
+      color: resolveChapterColor(project.color, chapters.length),
+      pages: project.pages,
+      tabImage: project.tabImage || null,
     });
   });
-  
+
   return chapters;
 }
 
+// Fallback: split a flat project into chapters using the chapter-N-M naming
+function buildChaptersFromFilenames(project) {
+  const chapterGroups = {};
+
+  project.pages.forEach(page => {
+    const [, chapterNum, pageNum] = page.asset.match(CHAPTER_FILENAME_PATTERN);
+    if (!chapterGroups[chapterNum]) chapterGroups[chapterNum] = [];
+    chapterGroups[chapterNum].push({ page, pageNum: parseInt(pageNum, 10) });
+  });
+
+  return Object.keys(chapterGroups)
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+    .map(chapterNum => {
+      const chapterIndex = parseInt(chapterNum, 10);
+      return {
+        id: `chapter-${chapterIndex}`,
+        title: `Chapter ${chapterIndex}`,
+        subtitle: null,
+        color: resolveChapterColor(null, chapterIndex),
+        pages: chapterGroups[chapterNum].sort((a, b) => a.pageNum - b.pageNum).map(entry => entry.page),
+        tabImage: `chapter-${chapterIndex}-tab.webp`,
+      };
+    });
+}
+
 
 // ---------------------------------------------------------------------------
 // 3. PortfolioLoader – runtime fetch (preview or default)
@@ -13,6 +13,7 @@
  */
 
 import { GLOBAL_CONFIG } from './config.js';
+import { loadPageTypeContent, unloadPageTypeContent } from './pageTypes.js';
 
 /**
  * Safely set video poster only if the file exists
@@ -33,6 +34,33 @@ function setPosterSafely(video, posterPath) {
   testImg.src = posterPath;
 }
 
+/**
+ * Swap lazy attributes onto an image – srcset first (including any <picture>
+ * sources) so the browser picks a responsive candidate before `src` is set.
+ * The placeholder background is dropped once the real image has loaded.
+ * @param {HTMLImageElement} img - Image element carrying data-src / data-srcset
+ */
+function applyImageSources(img) {
+  if (img.parentElement?.tagName === 'PICTURE') {
+    img.parentElement.querySelectorAll('source[data-srcset]').forEach(source => {
+      source.srcset = source.dataset.srcset;
+      source.removeAttribute('data-srcset');
+    });
+  }
+  if (img.classList.contains('page-media--placeholder')) {
+    img.addEventListener('load', () => {
+      img.classList.remove('page-media--placeholder');
+      img.style.backgroundImage = '';
+    }, { once: true });
+  }
+  if (img.dataset.srcset) {
+    img.srcset = img.dataset.srcset;
+    img.removeAttribute('data-srcset');
+  }
+  img.src = img.dataset.src;
+  img.removeAttribute('data-src');
+}
+
 /**
  * Enhanced Preloader state management for sequential loading
  */
@@ -223,8 +251,7 @@ function loadPageAssets(pageElement) {
   // Load images
   images.forEach(img => {
     if (img.dataset.src && !img.src) {
-      img.src = img.dataset.src;
-      img.removeAttribute('data-src');
+      applyImageSources(img);
       console.log('🖼️ Image loaded:', img.src.split('/').pop());
     }
   });
@@ -245,6 +272,9 @@ function loadPageAssets(pageElement) {
       console.log('🎬 Video loaded:', video.src.split('/').pop());
     }
   });
+
+  // Type-specific work (gallery cycling, …) registered in pageTypes.js
+  loadPageTypeContent(pageElement);
 }
 
 /**
@@ -252,6 +282,9 @@ function loadPageAssets(pageElement) {
  * @param {HTMLElement} pageElement - Page element to unload assets from
  */
 function unloadPageAssets(pageElement) {
+  // Stop type-specific work (gallery timers, …) as soon as the page leaves view
+  unloadPageTypeContent(pageElement);
+
   // Only unload if background loading is active (after reveal)
   if (!PreloaderState.isBackgroundLoading) return;
   
@@ -266,6 +299,58 @@ function unloadPageAssets(pageElement) {
   });
 }
 
+/**
+ * Start lazy loading and video management for a page element created after
+ * initPreloader() – used by pagePool.js when it binds a page. Re-observing
+ * makes the observers report the element's current visibility straight away.
+ * @param {HTMLElement} pageElement - Page element
+ */
+export function observePage(pageElement) {
+  const { lazyLoadObserver, videoPlaybackObserver } = PreloaderState;
+  if (!lazyLoadObserver) return; // Not initialised yet – initPreloader() observes existing pages
+
+  lazyLoadObserver.unobserve(pageElement);
+  lazyLoadObserver.observe(pageElement);
+
+  videoPlaybackObserver.unobserve(pageElement);
+  if (pageElement.querySelector('video')) {
+    videoPlaybackObserver.observe(pageElement);
+  }
+}
+
+/**
+ * Stop observing a page element that pagePool.js is about to recycle
+ * @param {HTMLElement} pageElement - Page element
+ */
+export function unobservePage(pageElement) {
+  PreloaderState.lazyLoadObserver?.unobserve(pageElement);
+  PreloaderState.videoPlaybackObserver?.unobserve(pageElement);
+}
+
+/**
+ * The image a page already shows, for thumbnails that must not fetch again
+ * (overview.js). `src` is only set once the lazy loader or the asset queue
+ * has loaded the image (or a video's poster), so the browser serves it from
+ * cache; until then the inline placeholder colour and preview stand in.
+ * @param {HTMLElement} pageElement - Page element
+ * @returns {Object|null} { src, color, placeholder }, or null for pages without media
+ */
+export function getLoadedPageImage(pageElement) {
+  const img = pageElement.querySelector('.page-front img');
+  if (img) {
+    const isLoaded = !img.dataset.src && img.complete && img.naturalWidth > 0;
+    return {
+      src: isLoaded ? img.currentSrc || img.src : null,
+      color: img.style.backgroundColor || null,
+      placeholder: img.style.backgroundImage || null,
+    };
+  }
+
+  const video = pageElement.querySelector('.page-front video');
+  if (video) return { src: video.poster || null, color: null, placeholder: null };
+  return null;
+}
+
 /**
  * Build sequential asset queue from pages data
  * @param {HTMLElement[]} pages - All page elements
@@ -345,9 +430,7 @@ function loadSingleAsset(assetInfo) {
     const onAssetLoad = () => {
       PreloaderState.loadedAssetSize += size;
       if (type === 'img') {
-        element.src = src;
-        element.removeAttribute('data-src');
-        console.log(`🖼️ Chapter asset loaded: ${src.split('/').pop()} (${(size / 1024).toFixed(1)} KB)`);
+        console.log(`🖼️ Chapter asset loaded: ${(element.currentSrc || src).split('/').pop()} (${(size / 1024).toFixed(1)} KB)`);
       } else if (type === 'video') {
         element.src = src;
         element.preload = 'auto';
@@ -369,10 +452,17 @@ function loadSingleAsset(assetInfo) {
     };
 
     if (type === 'img') {
-      const tempImg = new Image();
-      tempImg.onload = onAssetLoad;
-      tempImg.onerror = onAssetError;
-      tempImg.src = src;
+      // Already swapped in by the lazy-load observer
+      if (!element.dataset.src) {
+        onAssetLoad();
+        return;
+      }
+      // Load on the element itself so srcset/<picture> choose the candidate;
+      // eager because the queue decides when it loads, not the viewport
+      element.addEventListener('load', onAssetLoad, { once: true });
+      element.addEventListener('error', onAssetError, { once: true });
+      element.loading = 'eager';
+      applyImageSources(element);
     } else if (type === 'video') {
       // For videos, we can't reliably wait for `oncanplaythrough` with many concurrent loads.
       // We will use a fetch-based approach to track download progress accurately.
@@ -483,6 +573,8 @@ function startBackgroundLoading() {
 
 /**
  * Initialize sequential preloader system
+ * A pooled notebook (pagePool.js) passes a sparse array: only the pages in the
+ * DOM are queued, the others load through observePage() once they are bound.
  * @param {HTMLElement[]} pages - All page elements
  * @returns {Promise<void>} Promise that resolves when initial loading is complete
  */
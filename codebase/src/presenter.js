@@ -0,0 +1,113 @@
+/**
+ * PRESENTER MODE - WINDOW SYNC
+ *
+ * Keeps the notebook (on the projector) and the presenter window (on the
+ * laptop, see presenterView.js) on the same page. Both sides run a
+ * VirtualScrollEngine and share settled pages over a BroadcastChannel named
+ * after the notebook's data source:
+ *
+ * - { type: 'page', page }: the sender settled on a page – the receiver jumps there.
+ * - { type: 'hello' }: a window just opened – the other side answers with its page.
+ *
+ * A page reached because the other window asked for it is not sent back, so
+ * quick flips on one side are never undone by a late echo from the other.
+ * A page that arrives while the notebook is locked is held back and applied
+ * once 'lock:state' reports it unlocked.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { registerShortcut } from './shortcuts.js';
+
+/**
+ * Connect a scroll engine to the presenter channel
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine of this window
+ * @param {string} notebookId - Identifies the notebook (its data source)
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Land on remote pages without animating the flips
+ * @returns {BroadcastChannel|null} Channel, or null where BroadcastChannel is unsupported
+ */
+export function initPresenterSync(scrollEngine, notebookId, { instant = false } = {}) {
+  if (typeof BroadcastChannel === 'undefined') {
+    console.warn('⚠️ BroadcastChannel not supported – presenter mode unavailable');
+    return null;
+  }
+
+  const channel = new BroadcastChannel(`${GLOBAL_CONFIG.PRESENTER.channel}:${notebookId}`);
+  let settledPage = scrollEngine.getScrollState().currentPage;
+  let remotePage = null; // Page the other window asked for
+  let lockedPage = null; // Latest page asked for while the notebook was locked
+
+  const followRemote = page => {
+    remotePage = page;
+    scrollEngine.jumpToPage(page, { instant });
+  };
+
+  channel.addEventListener('message', ({ data }) => {
+    if (data?.type === 'hello') {
+      channel.postMessage({ type: 'page', page: settledPage });
+      return;
+    }
+    if (data?.type !== 'page' || !Number.isInteger(data.page)) return;
+    if (window.isPortfolioLocked) {
+      lockedPage = data.page;
+      return;
+    }
+    lockedPage = null;
+    if (data.page === settledPage) return;
+
+    followRemote(data.page);
+  });
+
+  document.addEventListener('lock:state', event => {
+    if (event.detail.locked || lockedPage === null) return;
+    const page = lockedPage;
+    lockedPage = null;
+    if (page !== settledPage) followRemote(page);
+  });
+
+  scrollEngine.addObserver(state => {
+    if (state.isMoving) return; // Mid-flip or mid-riffle
+    if (state.currentPage === settledPage) return;
+    settledPage = state.currentPage;
+
+    if (settledPage === remotePage) return; // Arrived where the other window asked – no echo
+    remotePage = null;
+    channel.postMessage({ type: 'page', page: settledPage });
+  });
+
+  channel.postMessage({ type: 'hello' });
+  return channel;
+}
+
+/**
+ * Open the presenter window for this notebook
+ * @param {string} notebookId - Data source the presenter window loads
+ * @returns {Window|null} Presenter window (null when blocked)
+ */
+export function openPresenterWindow(notebookId) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set('presenter', '');
+  url.searchParams.set('src', notebookId);
+
+  const presenter = window.open(url.href, 'ringbound-presenter', GLOBAL_CONFIG.PRESENTER.windowFeatures);
+  if (!presenter) console.warn('⚠️ Presenter window blocked by the browser');
+  return presenter;
+}
+
+/**
+ * Notebook side of presenter mode: sync with the presenter window and open it
+ * with PRESENTER.key.
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ * @param {string} notebookId - Identifies the notebook (its data source)
+ */
+export function initPresenter(scrollEngine, notebookId) {
+  if (!GLOBAL_CONFIG.PRESENTER.enabled) return;
+  initPresenterSync(scrollEngine, notebookId);
+
+  registerShortcut(GLOBAL_CONFIG.PRESENTER.key, () => openPresenterWindow(notebookId), {
+    description: 'Open the presenter window',
+    group: 'View',
+  });
+
+  console.log(`🎤 Presenter mode ready – press ${GLOBAL_CONFIG.PRESENTER.key.toUpperCase()} to open the presenter window`);
+}
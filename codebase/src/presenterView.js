@@ -0,0 +1,227 @@
+/**
+ * PRESENTER MODE - PRESENTER WINDOW
+ *
+ * What index.html shows with ?presenter: the current and next page as
+ * thumbnails, the speaker notes of the current page (`notes` in
+ * portfolio.json), a talk timer and chapter navigation.
+ *
+ * The window runs its own VirtualScrollEngine without a rendered notebook.
+ * Arrow keys, the wheel and the buttons flip it, and presenter.js keeps it in
+ * step with the notebook window in both directions.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { CHAPTERS, findChapterForPage } from './chapters.js';
+import { VirtualScrollEngine } from './scrollEngine.js';
+import { resolveAssetPath, resolveCoverBackground } from './portfolioLoader.js';
+import { initPresenterSync } from './presenter.js';
+import { initShortcuts } from './shortcuts.js';
+
+const VIDEO_PATTERN = /\.(mp4|webm|mov)$/i;
+
+/**
+ * Human-readable page name
+ * @param {Object[]} descriptors - Page descriptors
+ * @param {number} page - Page index
+ * @returns {string} Label
+ */
+function describePage(descriptors, page) {
+  if (page === 0) return 'Front cover';
+  if (page === descriptors.length - 1) return 'Back cover';
+  const chapter = findChapterForPage(page);
+  if (chapter) return `${chapter.title} – p. ${page - chapter.page + 1}`;
+  return `Page ${page + 1}`;
+}
+
+/**
+ * Small preview of a page: its main asset, cover board or opening text
+ * @param {Object} [descriptor] - Entry from describePages() (none past the back cover)
+ * @returns {HTMLElement} Thumbnail element
+ */
+function createThumbnail(descriptor) {
+  const thumb = document.createElement('div');
+  thumb.className = 'presenter-thumb';
+
+  if (!descriptor) {
+    thumb.classList.add('presenter-thumb--end');
+    thumb.textContent = 'End of notebook';
+    return thumb;
+  }
+
+  if (descriptor.kind !== 'page') {
+    const options = { ...GLOBAL_CONFIG.COVERS[descriptor.kind], ...descriptor.cover };
+    thumb.classList.add('presenter-thumb--cover');
+    thumb.style.backgroundImage = resolveCoverBackground(options) || `url('${GLOBAL_CONFIG.COVERS.materials.kraft}')`;
+    thumb.textContent = options.title || '';
+    return thumb;
+  }
+
+  const { data } = descriptor;
+  const asset = data.asset || data.assets?.[0] || data.after;
+  if (asset && VIDEO_PATTERN.test(asset)) {
+    const video = document.createElement('video');
+    video.src = resolveAssetPath(null, asset);
+    video.muted = true;
+    video.preload = 'metadata';
+    thumb.appendChild(video);
+  } else if (asset) {
+    const img = document.createElement('img');
+    img.src = resolveAssetPath(null, asset);
+    img.alt = '';
+    thumb.appendChild(img);
+  } else {
+    thumb.classList.add('presenter-thumb--text');
+    thumb.textContent = data.title || data.text || '';
+  }
+  return thumb;
+}
+
+/**
+ * Elapsed time as m:ss (h:mm:ss past an hour)
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted time
+ */
+function formatElapsed(ms) {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Talk timer that starts with the window and can be paused and reset
+ * @returns {HTMLElement} Timer element
+ */
+function createTimer() {
+  const root = document.createElement('div');
+  root.className = 'presenter__timer';
+  const display = document.createElement('time');
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.textContent = 'Reset';
+
+  let startedAt = Date.now();
+  let elapsed = 0; // Time banked while paused
+  let running = true;
+
+  const update = () => {
+    display.textContent = formatElapsed(elapsed + (running ? Date.now() - startedAt : 0));
+    toggle.textContent = running ? 'Pause' : 'Start';
+  };
+
+  toggle.addEventListener('click', () => {
+    if (running) elapsed += Date.now() - startedAt;
+    startedAt = Date.now();
+    running = !running;
+    update();
+  });
+  reset.addEventListener('click', () => {
+    elapsed = 0;
+    startedAt = Date.now();
+    update();
+  });
+
+  setInterval(update, 1000);
+  update();
+  root.append(display, toggle, reset);
+  return root;
+}
+
+/**
+ * Build the presenter window in place of the notebook and sync it with the notebook window.
+ * @param {Object[]} descriptors - Page descriptors from describePages()
+ * @param {string} notebookId - Identifies the notebook (its data source)
+ */
+export function initPresenterView(descriptors, notebookId) {
+  // No cover lock in this window – the notebook window keeps its own
+  window.isPortfolioLocked = false;
+  document.title = `Presenter – ${document.title}`;
+  document.body.className = 'body--presenter';
+
+  const root = document.createElement('main');
+  root.className = 'presenter';
+  root.innerHTML = `
+    <header class="presenter__bar">
+      <span class="presenter__position"></span>
+    </header>
+    <section class="presenter__slides">
+      <figure class="presenter__slide presenter__slide--current"><figcaption></figcaption></figure>
+      <figure class="presenter__slide presenter__slide--next"><figcaption></figcaption></figure>
+    </section>
+    <section class="presenter__notes" aria-live="polite"></section>
+    <nav class="presenter__nav" aria-label="Chapters">
+      <button type="button" class="presenter__prev">‹ Previous</button>
+      <ol class="presenter__chapters"></ol>
+      <button type="button" class="presenter__next">Next ›</button>
+    </nav>
+  `;
+  root.querySelector('.presenter__bar').appendChild(createTimer());
+  document.body.replaceChildren(root);
+
+  const engine = new VirtualScrollEngine();
+  engine.setMaxPages(descriptors.length);
+  engine.initializeEventListeners(null); // Wheel and touch only – no sheets to drag
+  initShortcuts(engine);
+
+  const position = root.querySelector('.presenter__position');
+  const current = root.querySelector('.presenter__slide--current');
+  const next = root.querySelector('.presenter__slide--next');
+  const notes = root.querySelector('.presenter__notes');
+  const chapters = root.querySelector('.presenter__chapters');
+
+  chapters.replaceChildren(
+    ...CHAPTERS.map(chapter => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.page = chapter.page;
+      button.textContent = chapter.title;
+      button.style.setProperty('--chapter-color', chapter.color);
+      item.appendChild(button);
+      return item;
+    })
+  );
+  chapters.addEventListener('click', event => {
+    const button = event.target.closest('[data-page]');
+    if (button) engine.jumpToPage(Number(button.dataset.page), { instant: true });
+  });
+  root.querySelector('.presenter__prev').addEventListener('click', () => engine.flipBy(-1, { instant: true }));
+  root.querySelector('.presenter__next').addEventListener('click', () => engine.flipBy(1, { instant: true }));
+  // Long notes scroll themselves instead of flipping pages
+  notes.addEventListener('wheel', event => event.stopPropagation(), { passive: true });
+
+  let shownPage = null;
+  const show = page => {
+    if (page === shownPage) return;
+    shownPage = page;
+    const descriptor = descriptors[page];
+    const upcoming = descriptors[page + 1];
+
+    position.textContent = `Page ${page + 1} of ${descriptors.length}`;
+    current.replaceChildren(createThumbnail(descriptor), current.querySelector('figcaption'));
+    current.querySelector('figcaption').textContent = `Now: ${describePage(descriptors, page)}`;
+    next.replaceChildren(createThumbnail(upcoming), next.querySelector('figcaption'));
+    next.querySelector('figcaption').textContent = upcoming ? `Next: ${describePage(descriptors, page + 1)}` : 'Next: –';
+
+    const text = descriptor.kind === 'page' ? descriptor.data.notes : descriptor.cover?.notes;
+    notes.textContent = text || 'No notes for this page.';
+    notes.classList.toggle('presenter__notes--empty', !text);
+    notes.scrollTop = 0;
+
+    const chapter = findChapterForPage(page);
+    chapters.querySelectorAll('[data-page]').forEach(button => {
+      const isCurrent = Number(button.dataset.page) === chapter?.page;
+      if (isCurrent) button.setAttribute('aria-current', 'true');
+      else button.removeAttribute('aria-current');
+    });
+  };
+
+  engine.addObserver(state => show(state.currentPage));
+  show(0);
+  initPresenterSync(engine, notebookId, { instant: true });
+
+  console.log(`🎤 Presenter view ready: ${descriptors.length} pages, ${CHAPTERS.length} chapters`);
+}
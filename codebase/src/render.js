@@ -20,6 +20,8 @@ import {
   createFlipAnimation,
   calculateRingsFrontPosition,
 } from './pageTransforms.js';
+import { getActualPageIndex, getLoopOffset, getStackSlot } from './infiniteLoop.js';
+import { CHAPTERS } from './chapters.js';
 
 // Cache for performance optimization
 let commentaryOverlay = null;
@@ -31,38 +33,62 @@ let commentaryTypewriterTimeout = null;
 function setCommentaryTextTypewriter(element, newText, typingSpeed = 24) {
   if (!element) return;
   if (commentaryTypewriterTimeout) clearTimeout(commentaryTypewriterTimeout);
-  element.innerHTML = '';
+  element.textContent = '';
   let i = 0;
   // Add delay before starting typewriter effect
   const delay = (typeof GLOBAL_CONFIG !== 'undefined' && GLOBAL_CONFIG.COMMENTARY && typeof GLOBAL_CONFIG.COMMENTARY.typewriterDelay === 'number')
     ? GLOBAL_CONFIG.COMMENTARY.typewriterDelay
     : 400;
   function typeNext() {
-    element.innerHTML = newText.slice(0, i);
+    element.textContent = newText.slice(0, i);
     i++;
     if (i <= newText.length) {
       commentaryTypewriterTimeout = setTimeout(typeNext, typingSpeed);
     } else {
-      element.innerHTML = newText;
+      element.textContent = newText;
+      commentaryTypewriterTimeout = null;
+      document.dispatchEvent(new CustomEvent('commentary:complete'));
     }
   }
   commentaryTypewriterTimeout = setTimeout(typeNext, delay);
 }
 
+/**
+ * Whether the commentary typewriter is still running ('commentary:complete' fires when it ends)
+ * @returns {boolean}
+ */
+export function isCommentaryTyping() {
+  return commentaryTypewriterTimeout !== null;
+}
+
+/**
+ * Pick the commentary for the visible spread. The page just above the current
+ * one has turned past 90°, so its back-side text wins when it has one.
+ * @param {HTMLElement[]} pages - Array of page elements
+ * @param {number} scroll - Current (virtual) scroll position
+ * @returns {string|undefined} Commentary text
+ */
+function getSpreadCommentary(pages, scroll) {
+  const current = Math.round(scroll);
+  // The turned page is looked up by virtual index – in loop mode the back cover precedes the loop start
+  const turnedPage = current > 0 ? pages[getActualPageIndex(current - 1, pages.length)] : null;
+  if (turnedPage?.dataset.backCommentary) return turnedPage.dataset.backCommentary;
+  return pages[getActualPageIndex(current, pages.length)]?.dataset.commentary;
+}
+
 /**
  * Update commentary overlay with current page information
- * @param {HTMLElement} currentPage - Current page element
+ * @param {HTMLElement[]} pages - Array of page elements
+ * @param {number} scroll - Current (virtual) scroll position
  */
-function updateCommentary(currentPage) {
+function updateCommentary(pages, scroll) {
   const pixelCommentary = document.getElementById('pixel-commentary');
-  if (currentPage) {
-    const commentary = currentPage.dataset.commentary;
-    if (commentary !== lastCommentary) {
-      if (pixelCommentary) {
-        setCommentaryTextTypewriter(pixelCommentary, commentary);
-      }
-      lastCommentary = commentary;
+  const commentary = getSpreadCommentary(pages, scroll);
+  if (commentary !== undefined && commentary !== lastCommentary) {
+    if (pixelCommentary) {
+      setCommentaryTextTypewriter(pixelCommentary, commentary);
     }
+    lastCommentary = commentary;
   }
 }
 
@@ -139,50 +165,7 @@ export function render(pages, scrollState) {
     return;
   }
 
-  const { scroll, totalPages, velocity } = scrollState;
-  const pageCount = pages.length;
-
-  // Update commentary for current page
-  const currentPageIndex = Math.round(scroll);
-  const currentPage = pages[clamp(currentPageIndex, 0, pageCount - 1)];
-  updateCommentary(currentPage);
-
-  // Update cookie position to keep it anchored to the background
-  // const cookieController = getCookieVideoController();
-  // if (cookieController) {
-  //   cookieController.updatePosition();
-  // }
-
-  // Render each page with state-driven transforms
-  for (let i = 0; i < pageCount; i++) {
-    const page = pages[i];
-
-    // Performance optimization: visibility culling
-    if (!shouldRenderPage(page, i, scroll)) {
-      continue;
-    }
-
-    // Calculate transform using specification physics
-    const transformData = computeTransform(i, scroll, pageCount);
-
-    // Update new page shadow overlay based on page ABOVE flipping
-    updatePageShadow(page, i, scroll);
-
-    // Buffer page contents to optimize performance while all pages are visible
-    updatePageContentVisibility(page, i, scroll);
-
-    // Apply flip-specific content visibility
-    applyFlipContentVisibility(page, i, scroll);
-
-    // Apply transforms with clean CSS approach
-    applyPageTransform(page, transformData);
-
-    // Update backface shadow animation based on page rotation
-    updateBackfaceShadowAnimation(page, i, scroll);
-  }
-
-  // Update ring rotations based on overall flip progress (throttled for performance)
-  updateRingRotations(scroll, pageCount);
+  renderStack(pages, scrollState.scroll, null, scrollState.riffle);
 
   perf.endRender();
 }
@@ -340,6 +323,14 @@ export function initializeRenderingContext(totalPages = 0) {
     rotationRange: `${GLOBAL_CONFIG.RINGS.rotationUnflipped}° to ${GLOBAL_CONFIG.RINGS.rotationFlipped}°`,
   });
 
+  // Commentary screen glows in the colour of the chapter being read (chapterManager.js)
+  document.addEventListener('chapter:change', event => {
+    const { chapter } = event.detail;
+    const screen = document.querySelector('.pixel-screen');
+    if (chapter) screen?.style.setProperty('--chapter-color', CHAPTERS[chapter.index].color);
+    else screen?.style.removeProperty('--chapter-color');
+  });
+
   // Apply responsive layout settings
   root.style.setProperty('--page-aspect-ratio', GLOBAL_CONFIG.LAYOUT.pageAspectRatio);
   root.style.setProperty('--safe-zone-height', `${GLOBAL_CONFIG.LAYOUT.safeZoneHeight}px`);
@@ -453,50 +444,104 @@ export function initializeRenderingContext(totalPages = 0) {
 
 /**
  * Create render pipeline for state-driven updates
- * @param {HTMLElement[]} pages - Page elements
+ * @param {HTMLElement[]} pages - Page elements (sparse when pooled)
+ * @param {PagePool} [pool] - Binds pages around the scroll position for large notebooks
  * @returns {Function} Render function that accepts scroll state
  */
-export function createRenderPipeline(pages) {
-  return scrollState => {
-    const { scroll, totalPages, velocity } = scrollState;
-    const pageCount = pages.length;
-
-    // Update commentary for current page
-    const currentPageIndex = Math.round(scroll);
-    const currentPage = pages[clamp(currentPageIndex, 0, pageCount - 1)];
-    updateCommentary(currentPage);
+export function createRenderPipeline(pages, pool = null) {
+  return scrollState => renderStack(pages, scrollState.scroll, pool, scrollState.riffle);
+}
 
-    // Render each page with state-driven transforms
-    for (let i = 0; i < pageCount; i++) {
-      const page = pages[i];
+/**
+ * Scroll position a page is drawn at while a long jump riffles. The pages of
+ * the bundle share one flip progress, so they lift and fall as a block.
+ * @param {number} slot - Stack slot of the page
+ * @param {number} stackScroll - Scroll position (the riffle's starting page)
+ * @param {Object} riffle - { from, to, progress } from VirtualScrollEngine
+ * @returns {number} Scroll position for this page
+ */
+function getRiffleScroll(slot, stackScroll, riffle) {
+  const { from, to, progress } = riffle;
+  if (to > from) return slot >= from && slot < to ? slot + progress : stackScroll;
+  return slot >= to && slot < from ? slot + 1 - progress : stackScroll;
+}
 
-      // Performance optimization: visibility culling
-      if (!shouldRenderPage(page, i, scroll)) {
-        continue;
-      }
+/**
+ * Draw every page in the DOM for a scroll position
+ * @param {HTMLElement[]} pages - Page elements (sparse when pooled)
+ * @param {number} scroll - Current (virtual) scroll position
+ * @param {PagePool} [pool] - Page pool, when the notebook is virtualised
+ * @param {Object} [riffle] - Bundle in flight during a long jump (never in loop mode)
+ */
+function renderStack(pages, scroll, pool = null, riffle = null) {
+  const pageCount = pages.length;
 
-      // Calculate transform using specification physics
-      const transformData = computeTransform(i, scroll, pageCount);
+  // Bind the sheets around the scroll position (and a riffle's landing) before drawing them
+  pool?.update(scroll, riffle);
 
-      // Update new page shadow overlay based on page ABOVE flipping
-      updatePageShadow(page, i, scroll);
+  // Update commentary for current page
+  updateCommentary(pages, scroll);
 
-      // Buffer page contents to optimize performance while all pages are visible
-      updatePageContentVisibility(page, i, scroll);
+  // Loop mode draws pages in sliding stack slots (identity otherwise)
+  const loopOffset = getLoopOffset(scroll, pageCount);
+  const stackScroll = scroll - loopOffset;
 
-      // Apply flip-specific content visibility
-      applyFlipContentVisibility(page, i, scroll);
+  // Render each page with state-driven transforms
+  for (const [i, page] of pool ? pool.getRenderedPages() : pages.entries()) {
+    const slot = getStackSlot(i, loopOffset, pageCount);
 
-      // Apply transforms with clean CSS approach
-      applyPageTransform(page, transformData);
+    // A riffling bundle only needs its top and bottom sheets – cull around both ends
+    const cullScroll = riffle && Math.abs(slot - riffle.to) < Math.abs(slot - riffle.from) ? riffle.to : stackScroll;
+    const pageScroll = riffle ? getRiffleScroll(slot, stackScroll, riffle) : stackScroll;
 
-      // Update backface shadow animation based on page rotation
-      updateBackfaceShadowAnimation(page, i, scroll);
+    // Performance optimization: visibility culling
+    if (!shouldRenderPage(page, slot, cullScroll)) {
+      continue;
     }
 
-    // Update ring rotations based on overall flip progress (throttled for performance)
-    updateRingRotations(scroll, pageCount);
-  };
+    // Calculate transform using specification physics
+    const transformData = computeTransform(slot, pageScroll, pageCount);
+
+    // Update new page shadow overlay based on page ABOVE flipping
+    updatePageShadow(page, slot, pageScroll);
+
+    // Buffer page contents to optimize performance while all pages are visible
+    updatePageContentVisibility(page, slot, pageScroll);
+
+    // Apply flip-specific content visibility
+    applyFlipContentVisibility(page, slot, pageScroll);
+
+    // Apply transforms with clean CSS approach
+    applyPageTransform(page, transformData);
+
+    // Update backface shadow animation based on page rotation
+    updateBackfaceShadowAnimation(page, slot, pageScroll);
+  }
+
+  // Sheets a pooled notebook keeps out of the DOM are drawn as stack edges; the bundle edge turns with a riffle
+  pool?.getStackEdges(loopOffset).forEach(edge => {
+    updateStackEdge(edge, riffle ? getRiffleScroll(edge.slot, stackScroll, riffle) : stackScroll, pageCount);
+  });
+
+  // Update ring rotations based on overall flip progress (throttled for performance)
+  updateRingRotations(stackScroll, pageCount);
+}
+
+/**
+ * Place a stack edge at the depth of the nearest sheet it stands in for
+ * @param {Object} edge - { element, slot, sheets } from PagePool.getStackEdges()
+ * @param {number} stackScroll - Scroll position in stack slot space (the bundle's while riffling)
+ * @param {number} pageCount - Total number of pages
+ */
+function updateStackEdge({ element, slot, sheets }, stackScroll, pageCount) {
+  if (sheets < 1) {
+    element.style.display = 'none';
+    return;
+  }
+
+  element.style.display = '';
+  element.style.setProperty('--edge-sheets', sheets);
+  element.style.transform = computeTransform(slot, stackScroll, pageCount).transform;
 }
 
 /**
@@ -559,8 +604,8 @@ export function updateRingsPosition(totalPages) {
  * @param {number} scrollPosition - Current scroll position
  */
 function updatePageContentVisibility(page, pageIndex, scrollPosition) {
-  const contentEl = page.querySelector('.page-front .page-content');
-  if (!contentEl) return;
+  const contentEls = page.querySelectorAll('.page-front .page-content, .page-back .page-content');
+  if (contentEls.length === 0) return;
 
   const relativePos = scrollPosition - pageIndex;
   const hasTab = page.querySelector('.page-tab') !== null;
@@ -576,22 +621,25 @@ function updatePageContentVisibility(page, pageIndex, scrollPosition) {
 
   const distance = Math.abs(relativePos);
 
-  if (distance > maxBuffer) {
-    // Too far from viewport – use display:none for maximum performance
-    contentEl.classList.add('page-content--hidden');
-    contentEl.classList.remove('page-content--fading');
-  } else if (distance > fadeBuffer) {
-    // In fade zone - more aggressive fading
-    contentEl.classList.remove('page-content--hidden');
-    contentEl.classList.add('page-content--fading');
-    const fadeProgress = (distance - fadeBuffer) / (maxBuffer - fadeBuffer);
-    const opacity = 1.0 - (fadeProgress * 0.9); // More aggressive fade (was 0.8)
-    contentEl.style.setProperty('--content-fade-opacity', Math.max(0.1, opacity).toString());
-  } else {
-    // Fully visible content
-    contentEl.classList.remove('page-content--hidden', 'page-content--fading');
-    contentEl.style.removeProperty('--content-fade-opacity');
-  }
+  // Front and (for double-sided pages) back content share the same buffer
+  contentEls.forEach(contentEl => {
+    if (distance > maxBuffer) {
+      // Too far from viewport – use display:none for maximum performance
+      contentEl.classList.add('page-content--hidden');
+      contentEl.classList.remove('page-content--fading');
+    } else if (distance > fadeBuffer) {
+      // In fade zone - more aggressive fading
+      contentEl.classList.remove('page-content--hidden');
+      contentEl.classList.add('page-content--fading');
+      const fadeProgress = (distance - fadeBuffer) / (maxBuffer - fadeBuffer);
+      const opacity = 1.0 - (fadeProgress * 0.9); // More aggressive fade (was 0.8)
+      contentEl.style.setProperty('--content-fade-opacity', Math.max(0.1, opacity).toString());
+    } else {
+      // Fully visible content
+      contentEl.classList.remove('page-content--hidden', 'page-content--fading');
+      contentEl.style.removeProperty('--content-fade-opacity');
+    }
+  });
 }
 
 /**
@@ -0,0 +1,160 @@
+/**
+ * RESUME READING
+ *
+ * Remembers the last page the notebook settled on, per notebook, and offers
+ * returning visitors a "Continue from page N / Start over" prompt.
+ *
+ * - A deep link in the URL wins: the router opens that page and no prompt is shown.
+ * - The prompt waits until the cover is unlocked (the LOCK.persistence cookie
+ *   can skip that) and the hints overlay has been dismissed.
+ * - Saved positions expire after RESUME.ttl seconds.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { hashToPage } from './router.js';
+
+const STORAGE_PREFIX = 'ringbound-resume:';
+
+let engine = null;
+let storageKey = null;
+let offeredPage = null; // Saved page awaiting the visitor's answer
+let lastRecordedPage = null;
+let prompt = null;
+
+/**
+ * Read the saved page, forgetting it once it has expired
+ * @returns {number|null} Page index
+ */
+function loadSavedPage() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || 'null');
+    if (!Number.isInteger(saved?.page)) return null;
+
+    if (Date.now() - saved.savedAt > GLOBAL_CONFIG.RESUME.ttl * 1000) {
+      localStorage.removeItem(storageKey);
+      console.log('📖 Saved reading position expired');
+      return null;
+    }
+    return saved.page;
+  } catch (error) {
+    console.warn('⚠️ Could not read saved reading position:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the settled page (the cover clears the saved position)
+ * @param {number} page - Page index
+ */
+function recordPage(page) {
+  lastRecordedPage = page;
+  try {
+    if (page > 0) {
+      localStorage.setItem(storageKey, JSON.stringify({ page, savedAt: Date.now() }));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not save reading position:', error);
+    // Non-critical error - the next visit starts on the cover
+  }
+}
+
+/**
+ * Scroll observer – records the page once it has settled
+ * @param {Object} state - Scroll state from VirtualScrollEngine
+ */
+function handleScrollState(state) {
+  if (window.isPortfolioLocked) return;
+  if (state.isMoving) return; // Mid-flip or mid-riffle
+  if (state.currentPage === lastRecordedPage) return;
+
+  if (offeredPage !== null) {
+    // Keep the offer while the visitor is still on the cover; reading on answers it
+    if (state.currentPage === 0) return;
+    closePrompt();
+  }
+  recordPage(state.currentPage);
+}
+
+/**
+ * Remove the prompt and drop the offer
+ */
+function closePrompt() {
+  offeredPage = null;
+  prompt?.remove();
+  prompt = null;
+  document.removeEventListener('lock:state', showPromptWhenReady);
+  document.removeEventListener('hints:dismissed', showPromptWhenReady);
+}
+
+/**
+ * Build the "Continue / Start over" prompt
+ * @param {number} page - Saved page index
+ */
+function showPrompt(page) {
+  prompt = document.createElement('div');
+  prompt.className = 'resume-prompt';
+  prompt.setAttribute('role', 'dialog');
+  prompt.setAttribute('aria-label', 'Resume reading');
+
+  const resume = document.createElement('button');
+  resume.type = 'button';
+  resume.className = 'resume-prompt__continue';
+  resume.textContent = `Continue from page ${page + 1}`;
+  resume.addEventListener('click', () => {
+    closePrompt();
+    engine.jumpToPage(page, { instant: true });
+    console.log(`📖 Resumed on page ${page}`);
+  });
+
+  const restart = document.createElement('button');
+  restart.type = 'button';
+  restart.className = 'resume-prompt__restart';
+  restart.textContent = 'Start over';
+  restart.addEventListener('click', () => {
+    closePrompt();
+    recordPage(0);
+  });
+
+  prompt.append(resume, restart);
+  document.body.appendChild(prompt);
+  resume.focus();
+}
+
+/**
+ * Show the prompt once the notebook is unlocked and the hints overlay is gone
+ */
+function showPromptWhenReady() {
+  if (offeredPage === null || prompt) return;
+  if (window.isPortfolioLocked || document.getElementById('overlay-hints')) return;
+
+  document.removeEventListener('lock:state', showPromptWhenReady);
+  document.removeEventListener('hints:dismissed', showPromptWhenReady);
+  showPrompt(offeredPage);
+}
+
+/**
+ * Start remembering the reading position and offer the saved one.
+ * Call after initRouter() so a deep link has already been applied.
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ * @param {string} notebookId - Identifies the notebook in localStorage (its data source)
+ */
+export function initResume(scrollEngine, notebookId) {
+  if (!GLOBAL_CONFIG.RESUME.enabled || engine) return;
+  engine = scrollEngine;
+  storageKey = `${STORAGE_PREFIX}${notebookId}`;
+
+  const savedPage = loadSavedPage();
+  const isDeepLink = hashToPage(window.location.hash) > 0;
+
+  if (savedPage > 0 && savedPage < engine.maxPages && !isDeepLink) {
+    offeredPage = savedPage;
+    document.addEventListener('lock:state', showPromptWhenReady);
+    document.addEventListener('hints:dismissed', showPromptWhenReady);
+    showPromptWhenReady();
+    console.log(`📖 Saved reading position: page ${savedPage}`);
+  }
+
+  engine.addObserver(handleScrollState);
+}
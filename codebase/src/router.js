@@ -0,0 +1,148 @@
+/**
+ * HASH ROUTER
+ *
+ * Mirrors the current chapter and page in the URL so a position survives
+ * reloads and can be shared:
+ * - #/chapter-2/5 → fifth page of chapter-2 (#/chapter-2 is its first page)
+ * - #/page/12     → twelfth page of the notebook (back cover, pages outside a chapter)
+ * - #/ or no hash → front cover
+ *
+ * Pages that stay open for ROUTER.historyDelay are pushed onto the browser
+ * history, so back/forward step through the visited pages. While the notebook
+ * is locked the URL is left alone; a deep link waits on the cover until
+ * 'lock:state' reports the notebook unlocked.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+import { CHAPTERS, findChapterForPage } from './chapters.js';
+
+let engine = null;
+let pendingPage = null; // Deep-link target held back while the notebook is locked
+let historyTimeout = null;
+let pushHistory = true;
+
+/**
+ * Build the hash for a page index
+ * @param {number} page - Page index in the notebook
+ * @returns {string} Hash including the leading '#'
+ */
+export function pageToHash(page) {
+  if (page <= 0) return '#/';
+  const chapter = findChapterForPage(page);
+  if (chapter) return `#/${encodeURIComponent(chapter.id)}/${page - chapter.page + 1}`;
+  return `#/page/${page + 1}`;
+}
+
+/**
+ * Resolve a hash to a page index
+ * @param {string} hash - location.hash
+ * @returns {number|null} Page index, or null if the hash doesn't name a page
+ */
+export function hashToPage(hash) {
+  let segments;
+  try {
+    segments = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return null; // Malformed escape sequence
+  }
+  if (segments.length === 0) return 0;
+
+  const number = segments[1] === undefined ? 1 : parseInt(segments[1], 10);
+  if (!(number >= 1)) return null;
+
+  if (segments[0] === 'page') {
+    return engine ? Math.min(number, engine.maxPages) - 1 : number - 1;
+  }
+
+  const chapter = CHAPTERS.find(c => c.id === segments[0]);
+  if (!chapter) return null;
+  return chapter.page + Math.min(number, chapter.pageCount) - 1;
+}
+
+/**
+ * Go to a page, or hold it back until the notebook is unlocked
+ * @param {number} page - Page index
+ * @param {Object} [options] - Passed to jumpToPage
+ */
+function navigate(page, options) {
+  if (window.isPortfolioLocked) {
+    pendingPage = page;
+    return;
+  }
+  engine.jumpToPage(page, options);
+}
+
+/**
+ * Push a history entry for a page unless the URL already points at it
+ * @param {number} page - Page index
+ */
+function recordPage(page) {
+  if (hashToPage(window.location.hash) === page) return;
+  if (pushHistory) {
+    history.pushState({ page }, '', pageToHash(page));
+  } else {
+    history.replaceState({ page }, '', pageToHash(page));
+  }
+}
+
+/**
+ * Scroll observer – records the page once it has settled
+ * @param {Object} state - Scroll state from VirtualScrollEngine
+ */
+function handleScrollState(state) {
+  clearTimeout(historyTimeout);
+  if (window.isPortfolioLocked || pendingPage !== null) return;
+
+  if (state.isMoving) return; // Mid-flip or mid-riffle
+
+  historyTimeout = setTimeout(() => recordPage(state.currentPage), GLOBAL_CONFIG.ROUTER.historyDelay);
+}
+
+/**
+ * Back/forward and manually edited hashes
+ */
+function handlePopState() {
+  const page = hashToPage(window.location.hash);
+  if (page === null) {
+    console.warn(`🧭 Unknown route: ${window.location.hash}`);
+    return;
+  }
+  navigate(page);
+}
+
+/**
+ * Release a deep link held back by the lock
+ * @param {CustomEvent} event - 'lock:state' event
+ */
+function handleLockState(event) {
+  if (event.detail.locked || pendingPage === null) return;
+  const page = pendingPage;
+  pendingPage = null;
+  engine.jumpToPage(page, { instant: true });
+}
+
+/**
+ * Restore the position from the URL and start tracking it.
+ * Call once chapters and the render pipeline are in place.
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ * @param {Object} [options]
+ * @param {boolean} [options.pushHistory=true] - false keeps the URL current without adding history entries
+ */
+export function initRouter(scrollEngine, options = {}) {
+  if (!GLOBAL_CONFIG.ROUTER?.enabled || engine) return;
+  engine = scrollEngine;
+  pushHistory = options.pushHistory !== false;
+
+  const page = hashToPage(window.location.hash);
+  if (page === null) {
+    console.warn(`🧭 Unknown route: ${window.location.hash}, starting on the cover`);
+  } else if (page > 0) {
+    // Land directly on the page rather than flipping through everything before it
+    navigate(page, { instant: true });
+    console.log(`🧭 Deep link ${window.location.hash} → page ${page}${pendingPage !== null ? ' (after unlock)' : ''}`);
+  }
+
+  window.addEventListener('popstate', handlePopState);
+  document.addEventListener('lock:state', handleLockState);
+  engine.addObserver(handleScrollState);
+}
@@ -9,15 +9,27 @@
  * - Input Sources: Wheel, swipe, arrow keys trigger page flips
  * - 60fps Animation: Smooth 600ms flip animations
  * - Growing Pile: Each flip moves pages toward the camera in a growing stack
+ * - Loop Mode: With LOOP.enabled the scroll runs on past the back cover and
+ *   pages repeat (see infiniteLoop.js). scrollPosition and pendingTargetPage are
+ *   then virtual; getScrollState().currentPage is the actual page index.
  */
 
 import { GLOBAL_CONFIG } from './config.js';
 import * as audio from './audioManager.js';
 import { clamp, lerp } from './utils.js';
-import { PagePhysics } from './physics.js';
-import { normalizeScrollPosition, shouldUseInfiniteLoop } from './infiniteLoop.js';
+import { PagePhysics, getPageMass } from './physics.js';
+import {
+  getActualPageIndex,
+  getNearestVirtualIndex,
+  normalizeScrollPosition,
+  shouldUseInfiniteLoop,
+} from './infiniteLoop.js';
 import { getAdaptiveMomentumConfig } from './utils.js';
 
+// Presses on these never start a page drag
+const DRAG_IGNORE_SELECTOR =
+  '.page-tab, .page-bookmark, .page-interactive, .cover-band, .cover-contact a, #interactive-cookie, a, button, input';
+
 /**
  * VirtualScrollEngine Class
  * Implements the specification-compliant virtual scroll system
@@ -58,6 +70,9 @@ class VirtualScrollEngine {
     // Zoom coordination state
     this.inputPaused = false; // Pauses all input during zoom transitions
 
+    // Long-jump riffle: { from, to, progress } while a bundle of pages turns (see riffleToPosition)
+    this.riffle = null;
+
     // Wheel event handling state
     this.lastWheelTime = null;
     this.wheelAccumulator = 0;
@@ -75,80 +90,23 @@ class VirtualScrollEngine {
 
     this.settleTimeout = null;
 
+    // Pointer drag-to-flip state
+    this.drag = null; // Active press/drag, see handlePointerDown
+    this.dragContainer = null;
+    this.dragJustEnded = false; // True for the click that follows a drag (read by zoomManager)
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+
     // ---- Physics settle integration ----
-    this.physics = null; // PagePhysics instance
-    this.physicsPage = null; // index of page under physics control
+    this.physics = null; // PagePhysics instance while a release is settling
+    this.releaseVelocity = 0; // pages/s from the latest direct input, handed to PagePhysics
+    this.lastInputSample = null; // { time, position } of the previous input frame
+    this.lastPhysicsTime = null;
+    this.runPhysicsFrame = this.runPhysicsFrame.bind(this);
 
     // Accessibility
     this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-    const physicsEnabled = GLOBAL_CONFIG.EXPERIMENTS?.physicsEnabled;
-
-    this.startPhysicsSettle = () => {
-      if (!physicsEnabled) {
-        this.settleToNearestPage();
-        return;
-      }
-      const pageIndex = Math.floor(this.scrollPosition);
-      const progress = this.scrollPosition - pageIndex;
-      // If already flat, nothing to do
-      if (progress === 0 || progress === 1) {
-        return;
-      }
-
-      // Map velocity to angular velocity estimate (deg/s)
-      const omegaDeg = this.velocity * 180; // heuristic mapping
-      const thetaDeg = progress * 180;
-
-      this.physics = new PagePhysics();
-      this.physics.release({ thetaDeg, omegaDeg });
-      this.physicsPage = pageIndex;
-      this.lastSettleVelocity = omegaDeg; // Store the initial velocity
-
-      console.log(`🪂 Physics settle start page ${pageIndex}, θ=${thetaDeg.toFixed(1)}°, ω=${omegaDeg.toFixed(1)}°/s`);
-
-      // Kick render loop if not already
-      this.runPhysicsFrame();
-    };
-
-    this.runPhysicsFrame = () => {
-      if (!this.physics || !this.physics.isActive()) return;
-      const now = performance.now();
-      const dt = (this.lastPhysicsTime ? (now - this.lastPhysicsTime) : 16) / 1000;
-      this.lastPhysicsTime = now;
-
-      const { stiffness, damping, mass } = GLOBAL_CONFIG.PAGE_ANIMATION.physics;
-
-      console.log('Physics Input:', {
-        position: this.scrollPosition,
-        velocity: this.velocity,
-        target: this.physicsPage,
-        stiffness,
-        damping,
-        mass,
-        dt,
-      });
-
-      const theta = this.physics.step(dt); // radians
-      const progress = theta / Math.PI; // 0-1
-      this.scrollPosition = this.physicsPage + progress;
-
-      console.log('Physics Output:', {
-        newPosition: this.scrollPosition,
-      });
-
-      this.notifyObservers(this.scrollPosition);
-
-      if (this.physics.isActive()) {
-        requestAnimationFrame(this.runPhysicsFrame);
-      } else {
-        console.log('✅ Physics settle complete');
-        audio.updateMotion({ landing: true, velocity: this.lastSettleVelocity });
-        this.lastPhysicsTime = null;
-        this.physics = null;
-      }
-    };
-
     console.log('🎯 VirtualScrollEngine initialized');
     console.log('🚀 Momentum config:', this.momentumConfig);
   }
@@ -203,7 +161,7 @@ class VirtualScrollEngine {
     }
 
     // Clamp the target page to valid bounds
-    const clampedTarget = clamp(targetPage, 0, this.maxPages - 1);
+    const clampedTarget = clamp(targetPage, 0, this.getMaxPosition());
 
     // Only animate if the target is different from the current page
     if (clampedTarget !== currentPage) {
@@ -226,6 +184,140 @@ class VirtualScrollEngine {
     this.animateToPosition(targetPage, 300);
   }
 
+  /**
+   * Whether releases settle through PagePhysics
+   * @returns {boolean}
+   */
+  usesPhysics() {
+    return Boolean(GLOBAL_CONFIG.PHYSICS?.enabled) && !this.prefersReducedMotion;
+  }
+
+  /**
+   * PagePhysics parameters – read every frame so PHYSICS can be tuned at runtime
+   * @returns {Object}
+   */
+  getPhysicsParams() {
+    return { ...GLOBAL_CONFIG.PHYSICS, mass: getPageMass(GLOBAL_CONFIG.PHYSICAL.pageGSM) };
+  }
+
+  /**
+   * Sample the scroll position after direct input (wheel, touch, drag) to
+   * estimate the angular velocity the page has when the input stops
+   */
+  trackReleaseVelocity() {
+    const now = performance.now();
+    const last = this.lastInputSample;
+    if (!last || now - last.time > 100) {
+      // New gesture – no motion to carry over yet
+      this.releaseVelocity = 0;
+    } else if (now > last.time) {
+      const instant = (this.scrollPosition - last.position) / ((now - last.time) / 1000);
+      this.releaseVelocity = lerp(this.releaseVelocity, instant, 0.5); // Smooth bursty wheel events
+    }
+    this.lastInputSample = { time: now, position: this.scrollPosition };
+  }
+
+  /**
+   * Input has stopped – the page falls from its release angle and velocity
+   * (Stateful Release). Falls back to a timed settle when physics is off.
+   */
+  startPhysicsSettle() {
+    // Input held still before letting go carries no velocity (wheel/touch release after ≤150ms silence)
+    const sampleAge = this.lastInputSample ? performance.now() - this.lastInputSample.time : Infinity;
+    const releaseVelocity = sampleAge < 200 ? this.releaseVelocity : 0;
+    this.lastInputSample = null;
+    this.releaseVelocity = 0;
+
+    if (!this.usesPhysics()) {
+      this.settleToNearestPage();
+      return;
+    }
+
+    const { maxReleaseVelocity, restVelocity } = GLOBAL_CONFIG.PHYSICS;
+    const page = Math.floor(this.scrollPosition);
+    const progress = this.scrollPosition - page;
+    const omegaDeg = clamp(releaseVelocity * 180, -maxReleaseVelocity, maxReleaseVelocity);
+
+    // Flat and not flicked – nothing to settle
+    if (progress === 0 && Math.abs(omegaDeg) < restVelocity) return;
+
+    this.releasePage(page, progress * 180, omegaDeg);
+  }
+
+  /**
+   * Hand a page to PagePhysics and run it until everything rests
+   * @param {number} page - Index of the page in motion
+   * @param {number} thetaDeg - Its rotation (0 unread side, 180 read side)
+   * @param {number} omegaDeg - Angular velocity in deg/s
+   */
+  releasePage(page, thetaDeg, omegaDeg) {
+    this.cancelAnimation();
+    this.physics = new PagePhysics({ minPage: 0, maxPage: this.getMaxPosition() - 1 });
+    this.physics.release({ page, thetaDeg, omegaDeg });
+    console.log(`🪂 Physics settle start page ${page}, θ=${thetaDeg.toFixed(1)}°, ω=${omegaDeg.toFixed(1)}°/s`);
+    this.animationFrameId = requestAnimationFrame(this.runPhysicsFrame);
+  }
+
+  /**
+   * One PagePhysics frame
+   * @param {number} now - rAF timestamp
+   */
+  runPhysicsFrame(now) {
+    if (!this.physics) return;
+    const dt = this.lastPhysicsTime ? (now - this.lastPhysicsTime) / 1000 : 1 / 60;
+    this.lastPhysicsTime = now;
+
+    const pageBefore = this.physics.page;
+    this.scrollPosition = this.physics.step(dt, this.getPhysicsParams());
+
+    // A carried flick lands one page and lifts the next
+    if (this.physics.page !== pageBefore) audio.updateMotion({ landing: true });
+
+    if (this.physics.isActive()) {
+      this.notifyObservers(this.getScrollState());
+      this.animationFrameId = requestAnimationFrame(this.runPhysicsFrame);
+      return;
+    }
+
+    console.log('✅ Physics settle complete');
+    audio.updateMotion({ landing: true });
+    this.animationFrameId = null;
+    this.lastPhysicsTime = null;
+    this.physics = null;
+    this.pendingTargetPage = Math.round(this.scrollPosition);
+    this.normalizeRestingPosition();
+    this.notifyObservers(this.getScrollState()); // At rest – physics has let go
+  }
+
+  /**
+   * Keyboard flip. With physics the page gets a flick of PHYSICS.keyFlickVelocity
+   * (repeated presses queue further pages), otherwise it animates over.
+   * @param {number} direction - 1 forward, -1 back
+   */
+  flickPage(direction) {
+    if (!this.usesPhysics()) {
+      this.flipBy(direction);
+      return;
+    }
+
+    const omegaDeg = direction * GLOBAL_CONFIG.PHYSICS.keyFlickVelocity;
+    if (this.physics?.isActive()) {
+      this.physics.flick(omegaDeg);
+      return;
+    }
+
+    // Backward from a resting position lifts the page lying on the read stack
+    let page = Math.floor(this.scrollPosition);
+    let progress = this.scrollPosition - page;
+    if (direction < 0 && progress === 0) {
+      page -= 1;
+      progress = 1;
+    }
+    if (page < 0 || page > this.getMaxPosition() - 1) return;
+
+    this.releasePage(page, progress * 180, omegaDeg);
+  }
+
   /**
    * Update scroll position with delta input
    * @param {number} delta - Input delta value
@@ -239,8 +331,9 @@ class VirtualScrollEngine {
       return;
     }
 
-    // Abort any running momentum animation
+    // Abort any running momentum animation; grabbing a falling page takes it over
     this.stopMomentum();
+    if (this.physics) this.cancelAnimation();
 
     const now = performance.now();
     const deltaTime = now - this.lastScrollTime;
@@ -251,7 +344,8 @@ class VirtualScrollEngine {
 
     // Apply scroll delta with sensitivity
     this.scrollPosition += delta * this.scrollSensitivity;
-    this.scrollPosition = Math.max(0, Math.min(this.maxPages - 1, this.scrollPosition));
+    this.scrollPosition = clamp(this.scrollPosition, 0, this.getMaxPosition());
+    this.trackReleaseVelocity();
 
     this.notifyObservers(this.scrollPosition);
 
@@ -281,12 +375,9 @@ class VirtualScrollEngine {
 
     // Wheel-click audio velocity update handled in handleWheel/touchMove
 
-    // If experimental physics is enabled we intentionally avoid scheduling
-    // momentum here (handled by the physics solver once input stops).
-    if (GLOBAL_CONFIG.EXPERIMENTS?.physicsEnabled) {
-      // With physics active, we rely on startPhysicsSettle() from the wheel
-      // silence timeout to handle release dynamics, so no extra work here.
-    }
+    // With PHYSICS enabled we intentionally avoid scheduling momentum here:
+    // startPhysicsSettle() runs from the wheel/touch silence timeout and
+    // takes the release velocity tracked above.
   }
 
   /**
@@ -301,6 +392,10 @@ class VirtualScrollEngine {
     return {
       scroll: this.scrollPosition,
       page,
+      currentPage: getActualPageIndex(Math.round(this.scrollPosition), this.maxPages), // Actual index, also in loop mode
+      loop: shouldUseInfiniteLoop(this.maxPages),
+      riffle: this.riffle,
+      isMoving: this.isMoving(),
       progress,
       rotation,
       totalPages: this.maxPages,
@@ -310,6 +405,16 @@ class VirtualScrollEngine {
     };
   }
 
+  /**
+   * Whether the notebook is in motion. A riffle holds the position on a whole
+   * page while the bundle turns, so resting on an integer isn't enough.
+   * @returns {boolean} True while riffling, snapping, coasting, settling or between pages
+   */
+  isMoving() {
+    return Boolean(this.riffle || this.isSnapping || this.isCoasting || this.physics) ||
+      Math.abs(this.scrollPosition - Math.round(this.scrollPosition)) > 0.001;
+  }
+
   /**
    * Add observer to scroll state changes
    * @param {Function} callback - Observer callback
@@ -329,26 +434,172 @@ class VirtualScrollEngine {
    */
   setMaxPages(maxPages) {
     this.maxPages = maxPages;
-    this.scrollPosition = Math.min(this.scrollPosition, maxPages - 1);
+    this.scrollPosition = Math.min(this.scrollPosition, this.getMaxPosition());
     // If page count shrinks, ensure pendingTargetPage is valid
-    this.pendingTargetPage = Math.min(this.pendingTargetPage, maxPages - 1);
+    this.pendingTargetPage = Math.min(this.pendingTargetPage, this.getMaxPosition());
+  }
+
+  /**
+   * Highest scroll position – the back cover, or unbounded in loop mode
+   * @returns {number}
+   */
+  getMaxPosition() {
+    return shouldUseInfiniteLoop(this.maxPages) ? Infinity : this.maxPages - 1;
+  }
+
+  /**
+   * Drop whole loop rounds from the position once the notebook rests,
+   * so virtual positions stay small (invisible, see normalizeScrollPosition)
+   */
+  normalizeRestingPosition() {
+    if (!shouldUseInfiniteLoop(this.maxPages)) return;
+    const shift = this.scrollPosition - normalizeScrollPosition(this.scrollPosition, this.maxPages);
+    this.scrollPosition -= shift;
+    this.pendingTargetPage -= shift;
   }
 
   /**
    * Jump to specific page with animation
    * Updates pendingTargetPage for both keyboard and programmatic jumps.
    * @param {number} targetPage - Target page index
+   * @param {Object} [options]
+   * @param {boolean} [options.instant=false] - Land on the page without animating the flips
+   */
+  jumpToPage(targetPage, options) {
+    const page = clamp(targetPage, 0, this.maxPages - 1);
+    // In loop mode take the nearest round of the page rather than flipping back to the first
+    this.flipToPosition(getNearestVirtualIndex(page, this.pendingTargetPage, this.maxPages), {
+      riffle: true,
+      ...options,
+    });
+  }
+
+  /**
+   * Flip a number of pages from the latest requested page (negative = back).
+   * Unlike jumpToPage this counts pages, so it comes round in loop mode.
+   * @param {number} count - Pages to flip
+   * @param {Object} [options] - See flipToPosition
    */
-  jumpToPage(targetPage) {
+  flipBy(count, options) {
+    // Guard: fallback to current page if pendingTargetPage is NaN
+    const safePending = (typeof this.pendingTargetPage === 'number' && !isNaN(this.pendingTargetPage))
+      ? this.pendingTargetPage
+      : Math.round(this.scrollPosition);
+    this.flipToPosition(safePending + count, options);
+  }
+
+  /**
+   * Animate to a (virtual) scroll position
+   * @param {number} position - Target position, a page index outside loop mode
+   * @param {Object} [options]
+   * @param {boolean} [options.instant=false] - Land on the page without animating the flips
+   * @param {boolean} [options.riffle=false] - Riffle when the jump is long enough (RIFFLE.minDistance)
+   */
+  flipToPosition(position, { instant = false, riffle = false } = {}) {
     // Always update pendingTargetPage, clamp to valid range
-    this.pendingTargetPage = clamp(targetPage, 0, this.maxPages - 1);
+    this.pendingTargetPage = clamp(position, 0, this.getMaxPosition());
 
-    if (this.prefersReducedMotion) {
+    // Retarget any flip in progress instead of dropping the request
+    this.cancelAnimation();
+
+    if (instant || this.prefersReducedMotion) {
       this.scrollPosition = this.pendingTargetPage;
+      this.normalizeRestingPosition();
       this.notifyObservers(this.getScrollState());
+    } else if (riffle && this.shouldRiffle(this.pendingTargetPage)) {
+      this.riffleToPosition(this.pendingTargetPage);
     } else {
-      this.animateToPosition(this.pendingTargetPage);
+      this.animateToPosition(this.pendingTargetPage, GLOBAL_CONFIG.ANIMATION.duration);
+    }
+  }
+
+  /**
+   * Whether a jump is long enough to riffle. Loop mode keeps flipping page by
+   * page – its recycled stack slots don't hold a contiguous bundle.
+   * @param {number} target - Target scroll position
+   * @returns {boolean}
+   */
+  shouldRiffle(target) {
+    const { enabled, minDistance } = GLOBAL_CONFIG.RIFFLE;
+    return enabled && !shouldUseInfiniteLoop(this.maxPages) &&
+      Math.abs(target - Math.round(this.scrollPosition)) >= minDistance;
+  }
+
+  /**
+   * Riffle to a distant page: the pages in between lift and fall as one thick
+   * bundle, then the last RIFFLE.tailPages flip individually onto the target.
+   * The bundle's duration grows sub-linearly with its size.
+   * @param {number} target - Target scroll position
+   */
+  riffleToPosition(target) {
+    const { tailPages, duration, exponent, minDistance } = GLOBAL_CONFIG.RIFFLE;
+    const from = Math.round(this.scrollPosition);
+    const to = target - Math.sign(target - from) * tailPages; // Where the bundle lands
+    const sheets = Math.abs(to - from);
+    const shortestBundle = Math.max(1, minDistance - tailPages);
+    const bundleDuration = duration * Math.pow(Math.max(1, sheets / shortestBundle), exponent);
+
+    this.scrollPosition = from;
+    this.isSnapping = true;
+    audio.playRiffle(sheets, bundleDuration);
+
+    const tailDuration = GLOBAL_CONFIG.ANIMATION.duration;
+    const ease = progress => 0.5 * (1 - Math.cos(Math.PI * progress));
+
+    let startTime = null;
+    const animate = time => {
+      if (!startTime) startTime = time;
+      const elapsed = time - startTime;
+
+      if (elapsed <= bundleDuration) {
+        this.riffle = { from, to, progress: ease(elapsed / bundleDuration) };
+        this.notifyObservers(this.scrollPosition);
+        this.animationFrameId = requestAnimationFrame(animate);
+        return;
+      }
+
+      // Bundle has landed – the tail flips on in the same loop, at least a frame
+      // in and easing out. isSnapping stays set, so observers see one motion from start to target
+      if (this.riffle) {
+        this.riffle = null;
+        audio.updateMotion({ landing: true });
+      }
+      const progress = Math.min(Math.max(elapsed - bundleDuration, 16) / tailDuration, 1);
+      this.scrollPosition = lerp(to, target, 1 - Math.pow(1 - progress, 3));
+
+      if (progress < 1) {
+        this.notifyObservers(this.scrollPosition);
+        this.animationFrameId = requestAnimationFrame(animate);
+        return;
+      }
+
+      this.normalizeRestingPosition();
+      this.animationFrameId = null;
+      this.isSnapping = false;
+      this.notifyObservers(this.scrollPosition); // At rest on the target
+      audio.updateMotion({ landing: true });
+    };
+
+    this.animationFrameId = requestAnimationFrame(animate);
+  }
+
+  /**
+   * Stop any snap, momentum or physics motion in progress
+   */
+  cancelAnimation() {
+    this.stopMomentum();
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    if (this.riffle) {
+      // Continue from whichever side the bundle is closer to
+      this.scrollPosition = this.riffle.progress < 0.5 ? this.riffle.from : this.riffle.to;
+      this.riffle = null;
     }
+    this.isSnapping = false;
+    this.physics = null;
+    this.lastPhysicsTime = null;
   }
 
   /**
@@ -398,8 +649,8 @@ class VirtualScrollEngine {
 
     if (duration <= 0) {
       this.scrollPosition = target;
-      this.notifyObservers(this.scrollPosition);
       this.isSnapping = false;
+      this.notifyObservers(this.scrollPosition);
       audio.updateMotion({ landing: true, velocity });
       return;
     }
@@ -412,15 +663,18 @@ class VirtualScrollEngine {
       const progress = Math.min(elapsed / duration, 1);
       const easedProgress = 0.5 * (1 - Math.cos(Math.PI * progress));
       this.scrollPosition = lerp(startPos, target, easedProgress);
-      this.notifyObservers(this.scrollPosition);
 
       if (progress < 1) {
+        this.notifyObservers(this.scrollPosition);
         this.animationFrameId = requestAnimationFrame(animate);
-      } else {
-        this.animationFrameId = null;
-        this.isSnapping = false;
-        audio.updateMotion({ landing: true, velocity });
+        return;
       }
+
+      this.normalizeRestingPosition();
+      this.animationFrameId = null;
+      this.isSnapping = false;
+      this.notifyObservers(this.scrollPosition); // At rest on the target
+      audio.updateMotion({ landing: true, velocity });
     };
 
     this.animationFrameId = requestAnimationFrame(animate);
@@ -578,7 +832,7 @@ class VirtualScrollEngine {
     
     // Calculate final target with momentum
     let targetPage = basePage + clampedExtraPages;
-    targetPage = clamp(targetPage, 0, this.maxPages - 1);
+    targetPage = clamp(targetPage, 0, this.getMaxPosition());
     
     console.log(`📖 Momentum snap: pos=${this.scrollPosition.toFixed(2)}, progress=${currentProgress.toFixed(2)}, base=${basePage}, extra=${clampedExtraPages}, target=${targetPage}`);
     
@@ -692,19 +946,15 @@ class VirtualScrollEngine {
 
     // Stop any settling animations
     if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
-      this.animationFrameId = null;
-      this.isSnapping = false;
+      this.cancelAnimation();
     }
 
     const delta = event.deltaY * this.scrollSensitivity;
-    let newScrollPosition = this.scrollPosition + delta;
+    const newScrollPosition = this.scrollPosition + delta;
 
     // Clamp scroll position within bounds
-    if (!shouldUseInfiniteLoop(this.maxPages)) {
-      newScrollPosition = clamp(newScrollPosition, 0, this.maxPages - 1);
-    }
-    this.scrollPosition = newScrollPosition;
+    this.scrollPosition = clamp(newScrollPosition, 0, this.getMaxPosition());
+    this.trackReleaseVelocity();
 
     if (!this.isRenderScheduled) {
       this.isRenderScheduled = true;
@@ -723,7 +973,7 @@ class VirtualScrollEngine {
     clearTimeout(this.wheelSilenceTimeout);
     // Set a new timeout
     this.wheelSilenceTimeout = setTimeout(() => {
-      this.settleToNearestPage();
+      this.startPhysicsSettle();
       audio.updateWheelVelocity(0); // Ensure audio loop stops
     }, 150); // 150ms of silence indicates the user has stopped scrolling
   }
@@ -775,6 +1025,115 @@ class VirtualScrollEngine {
     }, 30);
   }
 
+  /**
+   * Arm a drag when the lower part of the top page is pressed (mouse and pen).
+   * The page only follows once the pointer has moved past DRAG.threshold,
+   * so a plain click still reaches the zoom handler.
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    if (event.pointerType === 'touch' || event.button !== 0) return;
+    if (window?.isPortfolioLocked || this.inputPaused || this.drag) return;
+    if (event.target.closest(DRAG_IGNORE_SELECTOR)) return;
+
+    // Only a resting top page can be grabbed, and the back cover has nothing to flip onto (except in loop mode)
+    const page = Math.round(this.scrollPosition);
+    if (Math.abs(this.scrollPosition - page) > 0.001 || page >= this.getMaxPosition()) return;
+
+    // Looked up by index – a pooled notebook (pagePool.js) keeps pages out of DOM order
+    const pageIndex = getActualPageIndex(page, this.maxPages);
+    const pageElement = this.dragContainer.querySelector(`.page[data-global-index="${pageIndex}"]`);
+    if (!pageElement) return;
+    const rect = pageElement.getBoundingClientRect();
+    const grabTop = rect.bottom - rect.height * GLOBAL_CONFIG.DRAG.grabZone;
+    if (event.clientX < rect.left || event.clientX > rect.right) return;
+    if (event.clientY < grabTop || event.clientY > rect.bottom) return;
+
+    this.drag = {
+      pointerId: event.pointerId,
+      page,
+      hingeY: rect.top, // Pages hinge on their top edge at the rings
+      reach: event.clientY - rect.top, // Distance from the hinge to the grabbed point
+      startX: event.clientX,
+      startY: event.clientY,
+      lastY: event.clientY,
+      lastTime: performance.now(),
+      active: false,
+    };
+
+    document.addEventListener('pointermove', this.handlePointerMove);
+    document.addEventListener('pointerup', this.handlePointerUp);
+    document.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Follow the pointer 1:1 – the grabbed point stays under the cursor.
+   * Rotating about the top edge puts that point reach·cos(θ) below the hinge,
+   * so θ comes straight from the pointer height (no smoothing, see docs/vision.md).
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    if (!drag.active) {
+      const moved = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+      if (moved < GLOBAL_CONFIG.DRAG.threshold) return;
+      drag.active = true;
+      this.cancelAnimation();
+      clearTimeout(this.wheelSilenceTimeout);
+      this.dragContainer.setPointerCapture?.(event.pointerId);
+      document.body.classList.add('notebook-dragging');
+    }
+    event.preventDefault();
+
+    const cosTheta = clamp((event.clientY - drag.hingeY) / drag.reach, -1, 1);
+    const position = drag.page + Math.acos(cosTheta) / Math.PI;
+
+    const now = performance.now();
+    const deltaTime = Math.max(now - drag.lastTime, 1);
+    audio.updateWheelVelocity((Math.abs(event.clientY - drag.lastY) / deltaTime) * 1000);
+    drag.lastTime = now;
+    drag.lastY = event.clientY;
+
+    this.scrollPosition = position;
+    this.trackReleaseVelocity();
+    if (!this.isRenderScheduled) {
+      this.isRenderScheduled = true;
+      requestAnimationFrame(() => {
+        this.notifyObservers(this.getScrollState());
+        this.isRenderScheduled = false;
+      });
+    }
+  }
+
+  /**
+   * Release – gravity settles the page (Stateful Release), no coasting
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerUp(event) {
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    this.drag = null;
+
+    document.removeEventListener('pointermove', this.handlePointerMove);
+    document.removeEventListener('pointerup', this.handlePointerUp);
+    document.removeEventListener('pointercancel', this.handlePointerUp);
+    if (!drag.active) return; // Plain click – leave it to zoomManager
+
+    document.body.classList.remove('notebook-dragging');
+    audio.updateWheelVelocity(0);
+
+    // The click fired after this pointerup belongs to the drag, not to zoom
+    this.dragJustEnded = true;
+    setTimeout(() => {
+      this.dragJustEnded = false;
+    }, 0);
+
+    this.pendingTargetPage = Math.round(this.scrollPosition);
+    this.startPhysicsSettle();
+  }
+
   /**
    * Initialize event listeners
    * @param {HTMLElement} container - Container element
@@ -788,26 +1147,17 @@ class VirtualScrollEngine {
     document.addEventListener('touchmove', e => this.handleTouchMove(e), { passive: false });
     document.addEventListener('touchend', e => this.handleTouchEnd(e), { passive: true });
 
-    // Keyboard events
-    // Reliable, fast flipping: each key press increments/decrements pendingTargetPage and animates to it.
-    document.addEventListener('keydown', e => {
-      let handled = false;
-      // Guard: fallback to current page if pendingTargetPage is NaN
-      const safePending = (typeof this.pendingTargetPage === 'number' && !isNaN(this.pendingTargetPage))
-        ? this.pendingTargetPage
-        : Math.round(this.scrollPosition);
-      if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-        e.preventDefault();
-        this.jumpToPage(safePending - 1);
-        handled = true;
-      } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === ' ') {
-        e.preventDefault();
-        this.jumpToPage(safePending + 1);
-        handled = true;
-      }
-      // Optionally: prevent key repeat from browser if needed
-      // if (handled) e.stopPropagation();
-    });
+    // Pointer drag-to-flip (mouse and pen)
+    if (GLOBAL_CONFIG.DRAG?.enabled && container) {
+      this.dragContainer = container;
+      container.addEventListener('pointerdown', e => this.handlePointerDown(e));
+      // Native image dragging would cancel the pointer stream mid-flip
+      container.addEventListener('dragstart', e => {
+        if (this.drag) e.preventDefault();
+      });
+    }
+
+    // Keyboard flips are registered in shortcuts.js (initShortcuts) with the other key bindings
 
     console.log('🎮 VirtualScrollEngine event listeners initialized (document-wide)');
   }
@@ -841,9 +1191,9 @@ export function getState() {
   return engineInstance.getScrollState();
 }
 
-export function jumpToPage(targetPage) {
+export function jumpToPage(targetPage, options) {
   if (!engineInstance) throw new Error('ScrollEngine not initialized');
-  engineInstance.jumpToPage(targetPage);
+  engineInstance.jumpToPage(targetPage, options);
 }
 
 export function updatePageCount(newPageCount) {
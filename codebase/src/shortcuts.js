@@ -0,0 +1,312 @@
+/**
+ * SHORTCUTS - CENTRAL KEYBOARD REGISTRY AND HELP OVERLAY
+ *
+ * Every notebook-wide key binding is registered here with registerShortcut()
+ * instead of each module listening on document itself. One keydown listener
+ * dispatches them, so the shared rules live in one place:
+ *
+ * - Nothing fires while the cover lock is closed – the lock band owns the digit keys.
+ * - Nothing fires while typing in a field, or with Alt held. Ctrl/Cmd only
+ *   fires the shortcuts registered with { mod: true }.
+ * - Keys an open overlay already handled (preventDefault / stopPropagation) are left alone.
+ *
+ * SHORTCUTS.helpKey lists every registered binding, grouped. Keys that only
+ * apply inside an open overlay (arrows in the overview grid, Escape) stay with
+ * their modules.
+ */
+
+import { GLOBAL_CONFIG } from './config.js';
+
+// Order of the groups in the help overlay
+const GROUPS = ['Pages', 'Chapters', 'View', 'Other'];
+
+const KEY_LABELS = {
+  ' ': 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+};
+
+// Global state for the shortcut registry
+const registry = [];
+let isListening = false;
+let helpOverlay = null;
+let gotoPrompt = null;
+
+/**
+ * Compare keys case-insensitively for letters, exactly for named keys
+ * @param {string} key - KeyboardEvent.key value
+ * @returns {string} Normalised key
+ */
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Human-readable keys for the help overlay
+ * @param {string[]} keys - KeyboardEvent.key values
+ * @returns {string} Label such as "← / ↑"
+ */
+function formatKeys(keys) {
+  return keys.map(key => KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key)).join(' / ');
+}
+
+/**
+ * Register a keyboard shortcut
+ * @param {string|string[]} keys - KeyboardEvent.key value(s); letters match in either case
+ * @param {Function|null} handler - Called with the keydown event. Return false to decline
+ *   the key (the browser default then runs); null only lists the binding in the help overlay
+ * @param {Object} options
+ * @param {string} options.description - What the shortcut does, shown in the help overlay
+ * @param {string} [options.group='Other'] - Help overlay group (Pages, Chapters, View, Other)
+ * @param {string} [options.label] - Keys as shown in the help overlay (defaults to the keys)
+ * @param {boolean} [options.mod=false] - Fire with Ctrl (Cmd on macOS) held instead of without it
+ * @returns {Function} Removes the shortcut again
+ */
+export function registerShortcut(keys, handler, { description, group = 'Other', label, mod = false } = {}) {
+  const keyList = [].concat(keys);
+  const entry = {
+    keys: keyList.map(normalizeKey),
+    handler,
+    description,
+    group,
+    label: label || (mod ? `Ctrl / ⌘ + ${formatKeys(keyList)}` : formatKeys(keyList)),
+    mod,
+  };
+  registry.push(entry);
+
+  if (!isListening) {
+    document.addEventListener('keydown', handleKeydown);
+    isListening = true;
+  }
+
+  return () => {
+    const index = registry.indexOf(entry);
+    if (index !== -1) registry.splice(index, 1);
+  };
+}
+
+/**
+ * Dispatch a keydown to the registered shortcut for its key
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleKeydown(event) {
+  if (event.defaultPrevented || window.isPortfolioLocked) return;
+  if (event.altKey) return;
+  if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+  const key = normalizeKey(event.key ?? '');
+  const mod = event.ctrlKey || event.metaKey;
+  const entry = registry.find(shortcut => shortcut.handler && shortcut.mod === mod && shortcut.keys.includes(key));
+  if (!entry) return;
+
+  // Any other shortcut dismisses the help overlay on its way through
+  if (!entry.keys.includes(normalizeKey(GLOBAL_CONFIG.SHORTCUTS.helpKey))) closeShortcutHelp();
+
+  if (entry.handler(event) === false) return; // Declined – keep the browser default
+  event.preventDefault();
+}
+
+/**
+ * Build the help overlay from the registry
+ * @returns {HTMLElement} Overlay element
+ */
+function createHelpOverlay() {
+  const overlay = document.createElement('div');
+  overlay.className = 'shortcut-help';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-label', 'Keyboard shortcuts');
+
+  const panel = document.createElement('div');
+  panel.className = 'shortcut-help__panel';
+  panel.tabIndex = -1;
+
+  const heading = document.createElement('h2');
+  heading.className = 'shortcut-help__title';
+  heading.textContent = 'Keyboard shortcuts';
+  panel.appendChild(heading);
+
+  const groups = [...new Set([...GROUPS, ...registry.map(shortcut => shortcut.group)])];
+  groups.forEach(group => {
+    const shortcuts = registry.filter(shortcut => shortcut.group === group);
+    if (shortcuts.length === 0) return;
+
+    const section = document.createElement('section');
+    const title = document.createElement('h3');
+    title.textContent = group;
+    const list = document.createElement('dl');
+    list.className = 'shortcut-help__list';
+    shortcuts.forEach(shortcut => {
+      const keys = document.createElement('dt');
+      const kbd = document.createElement('kbd');
+      kbd.textContent = shortcut.label;
+      keys.appendChild(kbd);
+      const description = document.createElement('dd');
+      description.textContent = shortcut.description;
+      list.append(keys, description);
+    });
+    section.append(title, list);
+    panel.appendChild(section);
+  });
+
+  overlay.appendChild(panel);
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) closeShortcutHelp();
+  });
+  // The list scrolls itself instead of flipping pages
+  overlay.addEventListener('wheel', event => event.stopPropagation(), { passive: true });
+  return overlay;
+}
+
+/**
+ * Escape closes the help overlay
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleHelpKeydown(event) {
+  if (event.key !== 'Escape') return;
+  event.preventDefault();
+  event.stopPropagation();
+  closeShortcutHelp();
+}
+
+/**
+ * Show the overlay listing every binding
+ */
+export function openShortcutHelp() {
+  if (helpOverlay) return;
+  helpOverlay = createHelpOverlay();
+  document.body.appendChild(helpOverlay);
+  helpOverlay.querySelector('.shortcut-help__panel').focus({ preventScroll: true });
+  document.addEventListener('keydown', handleHelpKeydown, true);
+}
+
+/**
+ * Hide the help overlay
+ */
+export function closeShortcutHelp() {
+  if (!helpOverlay) return;
+  helpOverlay.remove();
+  helpOverlay = null;
+  document.removeEventListener('keydown', handleHelpKeydown, true);
+}
+
+/**
+ * Hide the "go to page" prompt
+ */
+function closeGotoPrompt() {
+  if (!gotoPrompt) return;
+  const prompt = gotoPrompt;
+  gotoPrompt = null;
+  prompt.remove();
+}
+
+/**
+ * Ask for a page number and jump there
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ */
+export function openGotoPrompt(scrollEngine) {
+  if (gotoPrompt) {
+    gotoPrompt.querySelector('input').focus();
+    return;
+  }
+
+  const total = scrollEngine.maxPages;
+  const prompt = document.createElement('form');
+  prompt.className = 'goto-prompt';
+  prompt.setAttribute('role', 'dialog');
+  prompt.setAttribute('aria-label', 'Go to page');
+  prompt.innerHTML = `
+    <label>Go to page <input type="number" min="1" max="${total}" inputmode="numeric" required></label>
+    <span>of ${total}</span>
+    <button type="submit">Go</button>
+  `;
+  const input = prompt.querySelector('input');
+  input.value = scrollEngine.getScrollState().currentPage + 1;
+
+  prompt.addEventListener('submit', event => {
+    event.preventDefault();
+    const page = Number(input.value) - 1; // Page numbers start at 1 on the front cover
+    if (!Number.isInteger(page) || page < 0 || page >= total) {
+      input.select();
+      return;
+    }
+    closeGotoPrompt();
+    scrollEngine.jumpToPage(page);
+  });
+  prompt.addEventListener('keydown', event => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    event.stopPropagation();
+    closeGotoPrompt();
+  });
+  // Clicking away dismisses the prompt
+  prompt.addEventListener('focusout', event => {
+    if (!prompt.contains(event.relatedTarget)) closeGotoPrompt();
+  });
+
+  gotoPrompt = prompt;
+  document.body.appendChild(prompt);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Register the notebook's own bindings – page navigation, zoom, the go-to
+ * prompt and the help overlay. Features register theirs when they initialise.
+ * @param {VirtualScrollEngine} scrollEngine - Scroll engine instance
+ * @param {ZoomManager} [zoomManager] - Zoom manager, when the notebook has one
+ */
+export function initShortcuts(scrollEngine, zoomManager) {
+  const { helpKey, gotoKey, zoomKey } = GLOBAL_CONFIG.SHORTCUTS;
+  const lastPage = () => scrollEngine.maxPages - 1;
+
+  // Flicks queue like repeated swipes. While input is paused (zoom transitions, overview) keys are declined
+  registerShortcut(['ArrowLeft', 'ArrowUp', 'PageUp'], () => {
+    if (scrollEngine.inputPaused) return false;
+    scrollEngine.flickPage(-1);
+  }, { description: 'Previous page', group: 'Pages', label: '← / ↑ / PageUp' });
+
+  registerShortcut(['ArrowRight', 'ArrowDown', 'PageDown'], () => {
+    if (scrollEngine.inputPaused) return false;
+    scrollEngine.flickPage(1);
+  }, { description: 'Next page', group: 'Pages', label: '→ / ↓ / PageDown' });
+
+  registerShortcut(' ', event => {
+    // Space on a focused control presses it instead
+    if (scrollEngine.inputPaused || event.target.closest?.('button, a, [role="button"]')) return false;
+    scrollEngine.flickPage(1);
+  }, { description: 'Next page', group: 'Pages' });
+
+  registerShortcut('Home', () => {
+    if (scrollEngine.inputPaused) return false;
+    scrollEngine.jumpToPage(0);
+  }, { description: 'Front cover', group: 'Pages' });
+
+  registerShortcut('End', () => {
+    if (scrollEngine.inputPaused) return false;
+    scrollEngine.jumpToPage(lastPage());
+  }, { description: 'Back cover', group: 'Pages' });
+
+  registerShortcut(gotoKey, () => {
+    if (scrollEngine.inputPaused) return false;
+    openGotoPrompt(scrollEngine);
+  }, { description: 'Go to page…', group: 'Pages' });
+
+  if (zoomManager) {
+    registerShortcut(zoomKey, () => {
+      if (scrollEngine.inputPaused) return false;
+      zoomManager.toggleZoom();
+    }, { description: 'Zoom in / out', group: 'View' });
+  }
+
+  registerShortcut(helpKey, () => {
+    if (helpOverlay) closeShortcutHelp();
+    else openShortcutHelp();
+  }, { description: 'Show this list', group: 'Other' });
+
+  registerShortcut('Escape', null, { description: 'Close the overview, lists and prompts', group: 'Other' });
+
+  console.log(`⌨️ Keyboard shortcuts ready – press ${helpKey} for the list`);
+}
@@ -15,6 +15,7 @@
  */
 
 import { GLOBAL_CONFIG } from './config.js';
+import { registerCommand } from './commandPalette.js';
 
 class ZoomManager {
   constructor() {
@@ -50,6 +51,12 @@ class ZoomManager {
     this.setupEventListeners();
     this.applyCSSConfiguration();
     this.applyDefaultZoom();
+
+    // Command palette entries, each offered only when it would change something
+    this.unregisterCommands = [
+      registerCommand({ id: 'zoom-in', title: 'Zoom in', keywords: 'focus enlarge 100%', run: () => this.zoomIn(), when: () => !this.isZoomed }),
+      registerCommand({ id: 'zoom-out', title: 'Zoom out', keywords: 'shrink 80%', run: () => this.zoomOut(), when: () => this.isZoomed }),
+    ];
     
     console.log('🔍 ZoomManager initialized with notebook:', this.notebook.id, this.notebook.className);
     console.log('🔍 Container for click detection:', this.container === document.body ? 'document.body' : this.container);
@@ -131,6 +138,7 @@ class ZoomManager {
       this.container.classList.add('zoom-focused');
     }
     this.isZoomed = true;
+    document.dispatchEvent(new CustomEvent('zoom:state', { detail: { zoomed: true } }));
     
     // Schedule transition end
     setTimeout(() => {
@@ -161,6 +169,7 @@ class ZoomManager {
       this.container.classList.remove('zoom-focused');
     }
     this.isZoomed = false;
+    document.dispatchEvent(new CustomEvent('zoom:state', { detail: { zoomed: false } }));
     
     // Schedule transition end
     setTimeout(() => {
@@ -240,6 +249,12 @@ class ZoomManager {
       console.log('🔍 Click ignored - scroll-related element');
       return;
     }
+
+    // A page drag ends with a click – it belongs to the drag
+    if (this.scrollEngine?.dragJustEnded) {
+      console.log('🔍 Click ignored - end of page drag');
+      return;
+    }
     
     // Prevent triggering during existing transitions
     if (this.isTransitioning) {
@@ -279,11 +294,12 @@ class ZoomManager {
    * Check if event is related to scrolling or should block zoom (e.g. interactive elements)
    * Note: Clicks on #interactive-cookie are intentionally excluded from zoom triggers, coordinated with cookieVideo.js click handler.
    * This ensures clicking the cookie only triggers its animation, not zoom.
+   * Headings only block zoom in the top navigation – the title printed on a cover zooms like the rest of the page.
    */
   isScrollEvent(event) {
     const target = event.target;
 
-    if (target.closest('.rings') || target.closest('.rings-wrapper') || target.closest('#interactive-cookie') || target.closest('.page-tab') || target.closest('.commentary') || target.closest('.overlay--rotate') || target.closest('.heading-wrapper') || target.closest('h1') || target.closest('h2')) {
+    if (target.closest('.rings') || target.closest('.rings-wrapper') || target.closest('#interactive-cookie') || target.closest('.page-tab') || target.closest('.page-interactive') || target.closest('.cover-contact a') || target.closest('.commentary') || target.closest('.overlay--rotate') || target.closest('.heading-wrapper') || target.closest('.top-nav h1, .top-nav h2')) {
       return true;
     }
 
@@ -315,6 +331,9 @@ class ZoomManager {
       this.container.removeEventListener('touchend', this.boundHandleTouch);
     }
     
+    this.unregisterCommands?.forEach(unregister => unregister());
+    this.unregisterCommands = null;
+
     this.notebook = null;
     this.container = null;
     this.scrollEngine = null;
@@ -0,0 +1,101 @@
+/**
+ * OFFLINE SERVICE WORKER – TEMPLATE
+ *
+ * build.cjs fills in the placeholders and writes the result to dist/sw.js:
+ * - SHELL_VERSION: hash of the shell files minus the timestamped manifest module (busts the shell cache on any code change)
+ * - PAGES_VERSION: hash of PORTFOLIO_MANIFEST (busts page assets only when content changes)
+ * - SHELL_FILES: index.html, ES modules, styles, data, fonts, rings, sounds, …
+ *
+ * Strategy:
+ * - Shell is precached on install and served cache-first
+ * - Page assets (pages + responsive variants) are cached on first view, cache-first after.
+ *   The preloader background-loads every page, so one visit caches the whole notebook.
+ * - Navigations are network-first with the cached index.html as the offline fallback
+ * - Google Fonts are stale-while-revalidate
+ */
+
+const SHELL_VERSION = __SHELL_VERSION__;
+const PAGES_VERSION = __PAGES_VERSION__;
+const SHELL_FILES = __SHELL_FILES__;
+
+const CACHE_PREFIX = 'ringbound-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${SHELL_VERSION}`;
+const PAGES_CACHE = `${CACHE_PREFIX}pages-${PAGES_VERSION}`;
+const FONTS_CACHE = `${CACHE_PREFIX}fonts`;
+const PAGE_ASSET_PATH = 'assets/portfolio-pages/';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'ajax.googleapis.com'];
+
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+const shellUrls = new Set(SHELL_FILES.map(scopeUrl));
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(scopeUrl(file), { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, PAGES_CACHE, FONTS_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && !keep.includes(key)).map(key => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache-first; a miss is fetched and stored (full 200 responses only, never 206 ranges)
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.status === 200) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirstNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return (await caches.match(scopeUrl('index.html'))) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    const href = url.origin + url.pathname;
+    if (shellUrls.has(href)) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (href.startsWith(scopeUrl(PAGE_ASSET_PATH))) {
+      event.respondWith(cacheFirst(request, PAGES_CACHE));
+    }
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONTS_CACHE));
+  }
+});